@@ -19,17 +19,61 @@ export const SHADOW_CONFIG = {
         normalBias: 0.02,
         radius: 2
     },
-    mobile: {
-        mapSize: 2048
-    },
     lamp: {
         mapSize: 2048,
         bias: -0.0002,
         normalBias: 0.02,
         radius: 4
+    },
+    // Upper bound on any shadow map when innerWidth < 768, whatever the quality tier
+    mobile: {
+        mapSize: 2048
+    }
+};
+
+/**
+ * Graphics quality tiers.
+ * shadowScale multiplies the SHADOW_CONFIG map sizes; textureScale sets the resolution
+ * of every canvas texture (screens, diploma, notebook, clock, book spines), which are
+ * redrawn when the tier changes; anisotropy caps each texture's authored value.
+ * Ultra matches the original full-quality scene.
+ */
+export const QUALITY_CONFIG = {
+    default: 'auto',              // 'auto' adapts to the frame rate; or a fixed tier name
+    storageKey: 'portfolio-quality', // localStorage key for the visitor's choice
+    order: ['low', 'medium', 'high', 'ultra'],
+    tiers: {
+        low: { pixelRatio: 1, shadowScale: 0.25, bloom: false, rectAreaLights: false, steamParticles: 2, textureScale: 0.5, anisotropy: 1 },
+        medium: { pixelRatio: 1.25, shadowScale: 0.5, bloom: false, rectAreaLights: true, steamParticles: 4, textureScale: 0.75, anisotropy: 4 },
+        high: { pixelRatio: 1.5, shadowScale: 0.5, bloom: true, rectAreaLights: true, steamParticles: 5, textureScale: 1, anisotropy: 8 },
+        ultra: { pixelRatio: 2, shadowScale: 1, bloom: true, rectAreaLights: true, steamParticles: 6, textureScale: 1, anisotropy: 16 }
+    },
+    // Auto mode: starting tier and frame-time thresholds (the gap between them is the hysteresis)
+    adaptive: {
+        startTier: 'high',
+        smallScreenStartTier: 'medium', // innerWidth < 768
+        sampleSeconds: 2,        // Frame times are averaged over this window
+        downshiftFrameMs: 28,    // Slower than ~36 fps: step down
+        upshiftFrameMs: 18,      // Faster than ~55 fps...
+        upshiftAfterSeconds: 10, // ...for this long: step up (longer again for each earlier downshift from that tier)
+        cooldownSeconds: 4,      // Minimum time between changes
+        ignoreFrameMs: 250       // Longer frames (tab switches, loading hitches) are not counted
     }
 };
 
+/**
+ * Render-on-demand loop.
+ * Frames are drawn only when something changes; always-on ambient animation
+ * (coffee steam, the pulsing hint outline) runs at idleFps while nothing else moves.
+ */
+export const RENDER_CONFIG = {
+    onDemand: true,          // false = render every animation frame
+    idleFps: 20,             // Ambient animation rate when idle; 0 pauses it until the next change
+    dayNightRefreshSeconds: 30, // Redraw this often so the day/night lighting keeps drifting while idle
+    pauseWhenHidden: true,   // Suspend rendering and timers in background tabs
+    pauseWhenOffscreen: true // ...and while the canvas is scrolled out of view (embedded pages)
+};
+
 /**
  * Lighting configuration for physically-based lights
  */
@@ -52,6 +96,17 @@ export const LIGHTING_CONFIG = {
         metal: 1.0,
         screen: 0.3,
         floor: 0.15
+    },
+    // Sun-aware day/night: remap the keyframes onto the real sunrise/sunset and
+    // swing the main (window) light with the sun. Off = fixed keyframe hours.
+    sun: {
+        enabled: false,
+        latitude: null,     // Degrees north; null = estimate from the browser timezone
+        longitude: null,    // Degrees east; null = estimate from the browser timezone
+        keyframeSunrise: 7, // dayNightKeyframes hours that stand for sunrise and sunset
+        keyframeSunset: 19,
+        maxSwing: 60,       // Degrees the light swings either side of the window direction
+        minElevation: 8     // Degrees; a lower (or set) sun leaves the light at the window
     }
 };
 
@@ -126,60 +181,159 @@ export const COLORS = {
 };
 
 /**
- * Zoom distances for each interactive object type.
- * Smaller values = closer zoom.
+ * Zoom presets, referenced by name from the scene manifest and OBJECT_REGISTRY.
+ * Smaller distance = closer zoom. useRotation follows the object's Y rotation.
  */
 export const ZOOM_CONFIG = {
     monitor: { distance: 2, yOffset: 1.35, targetYOffset: 1.35 },
     laptop: { distance: 0.8, yOffset: 1, targetYOffset: 0.6, useRotation: true },
     notebook: { distance: 0.1, yOffset: 1, targetYOffset: 0, useRotation: true },
+    keyboard: { distance: 0.9, yOffset: 0.7, targetYOffset: 0 },
+    mouse: { distance: 0.6, yOffset: 0.5, targetYOffset: 0 },
+    coffee: { distance: 0.9, yOffset: 0.4, targetYOffset: 0.15 },
+    lamp: { distance: 1.6, yOffset: 0.8, targetYOffset: 0.5 },
+    clock: { distance: 0.8, yOffset: 0.4, targetYOffset: 0.25, useRotation: true },
+    vinyl: { distance: 1.8, yOffset: 0, targetYOffset: 0 },
+    book: { distance: 0.8, yOffset: 0.05, targetYOffset: 0 },
+    shelfPlant: { distance: 1.2, yOffset: 0.1, targetYOffset: 0.25 },
     default: { distance: 1.5, yOffset: 0, targetYOffset: 0 }
 };
 
 /**
- * Object origin positions and rotations.
- * Centralized positioning data for all 3D objects in the scene.
- * Change these values to reposition entire objects.
+ * Bindings for parts of a group that are clicked separately (listed in the
+ * group's userData.interactiveChildren, e.g. the shelf books). Parts have no
+ * manifest entry of their own, so they are keyed here by userData.name:
+ * - interactive: false leaves the part out even when its group is interactive
+ * - content: key into CONTENT_DATA shown in the info panel
+ * - zoom: key into ZOOM_CONFIG (default: the group's preset)
+ * - action: 'zoom' (default) or 'toggle'
+ * Top-level objects are bound in the scene manifest.
  */
-export const OBJECT_ORIGINS = {
-    // Scene elements
-    scene: {
-        floor: { x: 0, y: -0.5, z: 0, rotationX: -Math.PI / 2, rotationY: 0, rotationZ: 0 }
-    },
+export const OBJECT_REGISTRY = {
+    book1: { content: 'book1', zoom: 'book' },
+    book2: { content: 'book2', zoom: 'book' },
+    lampSwitch: { action: 'toggle' }
+};
 
-    // Furniture
-    furniture: {
-        desk: { x: 0, y: 0.75, z: -0.3, rotationX: 0, rotationY: 0, rotationZ: 0 },
-        wall: { x: 0, y: 0, z: 1.5, rotationX: 0, rotationY: 0, rotationZ: 0 },
-        wallShelf: { x: 0, y: 3.5, z: -1.7, rotationX: 0, rotationY: 0, rotationZ: 0 }
-    },
+/**
+ * Guided tour ("Take the tour" button).
+ * Stops are object names, visited in order; zoom framing comes from ZOOM_CONFIG.
+ */
+export const TOUR_CONFIG = {
+    order: ['monitor', 'laptop', 'notebook', 'diploma', 'keyboard', 'mouse', 'book1', 'book2', 'vinyl', 'to-pimp-a-butterfly', 'coffee', 'shelfPlant', 'lamp', 'clock'],
+    dwell: 8,        // Seconds per stop while autoplaying (includes the zoom animation)
+    autoplay: false  // Start playing automatically when the tour begins
+};
 
-    // Technology items
-    technology: {
-        monitor: { x: 0, y: 1, z: -1.1, rotationX: 0, rotationY: 0, rotationZ: 0 },
-        keyboard: { x: 0, y: 0.94, z: 0.1, rotationX: 0, rotationY: Math.PI, rotationZ: 0 },
-        mouse: { x: 1.3, y: 1, z: 0, rotationX: 0, rotationY: 0, rotationZ: 0 },
-        laptop: { x: -2.4, y: 0.85, z: 0.2, rotationX: 0, rotationY: Math.PI / 4, rotationZ: 0 },
-        clock: { x: 1, y: 0.83, z: -1, rotationX: 0, rotationY: -Math.PI / 9, rotationZ: 0 }
-    },
+/**
+ * Weather on the main (window) light.
+ * Each preset tints the day/night color, scales its intensity and sets the shadow
+ * blur radius (clear matches SHADOW_CONFIG.main.radius; cloud and rain diffuse the
+ * light, so their shadows are softer); `overlay: 'rain'` adds the rain-streak overlay.
+ * Clear = unchanged.
+ */
+export const WEATHER_CONFIG = {
+    enabled: true,
+    refreshMinutes: 15, // How often the provider is asked again
+    transition: 3,      // Seconds to blend between presets
+    presets: {
+        clear: { color: 0xffffff, intensity: 1.0, shadowRadius: 2, overlay: null },
+        overcast: { color: 0xc8d0dc, intensity: 0.55, shadowRadius: 6, overlay: null },
+        rain: { color: 0xa8b4c4, intensity: 0.4, shadowRadius: 8, overlay: 'rain' },
+        snow: { color: 0xe4ecff, intensity: 0.75, shadowRadius: 4, overlay: null }
+    }
+};
+
+/**
+ * Day/night time override: the time-of-day scrubber and ?time= URL parameter.
+ * Hours are decimal (19.5 = 19:30).
+ */
+export const TIME_CONFIG = {
+    urlParam: 'time',           // ?time=19.5 starts at 19:30 (handy for screenshots)
+    sliderStep: 0.25,           // Scrubber resolution in hours (15 minutes)
+    clockFollowsOverride: true  // Digital clock shows the simulated time instead of the real one
+};
+
+/**
+ * Audio playback (album previews).
+ * Volume is the master level; fades are per clip, in seconds.
+ */
+export const AUDIO_CONFIG = {
+    volume: 0.7,
+    fadeIn: 0.8,
+    fadeOut: 0.5,
+    refDistance: 2,   // PositionalAudio: distance (m) before volume starts to fall off
+    rolloffFactor: 1,
+    muteStorageKey: 'portfolio-muted' // localStorage key for the mute preference
+};
+
+/**
+ * Ambient soundscape: looping room tone plus one-shot cues played
+ * from an object when it is zoomed into (keyed by userData.name).
+ * A cue with `event: 'toggle'` plays when the object is switched instead.
+ * Files load after the first user gesture; missing files are skipped.
+ */
+export const SOUNDSCAPE_CONFIG = {
+    roomTone: { url: 'assets/audio/room-tone.wav', volume: 0.25 },
+    cues: {
+        keyboard: { url: 'assets/audio/keyboard-clack.wav', volume: 0.8 },
+        lampSwitch: { url: 'assets/audio/lamp-switch.wav', volume: 0.9, event: 'toggle' },
+        coffee: { url: 'assets/audio/coffee-sip.wav', volume: 0.7 },
+        notebook: { url: 'assets/audio/page-rustle.wav', volume: 0.8 }
+    }
+};
 
-    // Desk objects
-    desk: {
-        notebook: { x: 2.2, y: 1, z: 0.4, rotationX: 0, rotationY: -Math.PI / 6, rotationZ: 0 },
-        coffee: { x: -1.8, y: 1, z: -0.8, rotationX: 0, rotationY: 0, rotationZ: 0 },
-        lamp: { x: 2.5, y: 1, z: -1.1, rotationX: 0, rotationY: 0, rotationZ: 0 }
+/**
+ * Hover highlight for interactive objects.
+ * A point light eases in above the hovered object; colors are per object name.
+ */
+export const HOVER_CONFIG = {
+    light: {
+        intensity: 1.0,
+        distance: 3,
+        decay: 2,
+        heightOffset: 0.3 // Meters above the hovered point
     },
+    fadeSpeed: 8, // Higher = faster ease in/out (per second)
+    defaultColor: 0xffffff,
+    colors: {
+        monitor: 0xaaccff,
+        laptop: 0xaaccff,
+        lamp: 0xffcc88,
+        lampSwitch: 0xffcc88,
+        coffee: 0xffddaa,
+        shelfPlant: 0xccffcc,
+        vinyl: 0xffccee
+    },
+    // Outline only the hovered object (instead of the idle hint on all objects)
+    useOutline: true,
+    outlineStrength: 3.0
+};
 
-    // Shelf objects
-    shelf: {
-        books: { x: 0, y: 3.5, z: -1.7, rotationX: 0, rotationY: 0, rotationZ: 0 },
-        shelfPlant: { x: -2.0, y: 3.5, z: -1.6, rotationX: 0, rotationY: 0, rotationZ: 0 }
+/**
+ * Adjustable desk lamp neck (drag the lamp head).
+ * Angles are in radians: angleX tilts the neck forward, angleZ swings it sideways.
+ */
+export const LAMP_CONFIG = {
+    neck: {
+        angleX: Math.PI / 4,   // Initial 45° forward tilt (toward the notebook)
+        angleZ: -Math.PI / 12, // Initial slight tilt left
+        minAngleX: Math.PI / 12,
+        maxAngleX: Math.PI / 2.4,
+        minAngleZ: -Math.PI / 4,
+        maxAngleZ: Math.PI / 4
     },
+    dragSensitivity: 0.006 // Radians per pixel dragged
+};
 
-    // Wall objects
-    wall: {
-        diploma: { x: 3.7, y: 3, z: -1.8, rotationX: 0, rotationY: 0, rotationZ: 0 },
-        vinyl: { x: -4.3, y: 3.5, z: -1.9, rotationX: 0, rotationY: 0, rotationZ: 0 }
+/**
+ * Origins of scene elements built by SceneManager rather than the scene
+ * manifest. Every object the factories create is placed by its manifest entry
+ * (js/config/scene-manifest.json).
+ */
+export const OBJECT_ORIGINS = {
+    scene: {
+        floor: { x: 0, y: -0.5, z: 0, rotationX: -Math.PI / 2, rotationY: 0, rotationZ: 0 }
     }
 };
 
@@ -43,6 +43,88 @@ export const SHARED_CONTENT = {
     `
 };
 
+/**
+ * Album covers on the vinyl wall, in display order (left to right, top to bottom).
+ * Add, remove or reorder entries to change the wall - the grid resizes to fit.
+ * Each cover is clickable; id is its object name (and #deep-link).
+ * Optional: tracks (track listing), preview (short local clip played when selected;
+ * albums without one show no player).
+ */
+export const VINYL_ALBUMS = [
+    {
+        id: 'to-pimp-a-butterfly',
+        image: 'assets/images/kendrick.webp',
+        title: 'To Pimp a Butterfly',
+        artist: 'Kendrick Lamar',
+        favoriteTrack: 'Alright',
+        year: 2015,
+        tracks: [
+            'Wesley\'s Theory', 'For Free? (Interlude)', 'King Kunta', 'Institutionalized', 'These Walls',
+            'u', 'Alright', 'For Sale? (Interlude)', 'Momma', 'Hood Politics', 'How Much a Dollar Cost',
+            'Complexion (A Zulu Love)', 'The Blacker the Berry', 'You Ain\'t Gotta Lie (Momma Said)',
+            'i', 'Mortal Man'
+        ],
+        preview: 'assets/audio/to-pimp-a-butterfly.wav'
+    },
+    {
+        id: 'the-college-dropout',
+        image: 'assets/images/kanye.webp',
+        title: 'The College Dropout',
+        artist: 'Kanye West',
+        favoriteTrack: 'Through the Wire',
+        year: 2004,
+        tracks: [
+            'Intro', 'We Don\'t Care', 'Graduation Day', 'All Falls Down', 'I\'ll Fly Away', 'Spaceship',
+            'Jesus Walks', 'Never Let Me Down', 'Get Em High', 'Workout Plan', 'The New Workout Plan',
+            'Slow Jamz', 'Breathe In Breathe Out', 'School Spirit Skit 1', 'School Spirit', 'School Spirit Skit 2',
+            'Lil Jimmy Skit', 'Two Words', 'Through the Wire', 'Family Business', 'Last Call'
+        ],
+        preview: 'assets/audio/the-college-dropout.wav'
+    },
+    {
+        id: 'mt-joy',
+        image: 'assets/images/mt_joy.webp',
+        title: 'Mt. Joy',
+        artist: 'Mt. Joy',
+        favoriteTrack: 'Silver Lining',
+        year: 2018,
+        preview: 'assets/audio/mt-joy.wav'
+    },
+    {
+        id: 'the-art-of-loving',
+        image: 'assets/images/olivia_dean.webp',
+        title: 'The Art of Loving',
+        artist: 'Olivia Dean',
+        favoriteTrack: 'Man I Need',
+        year: 2025,
+        preview: 'assets/audio/the-art-of-loving.wav'
+    }
+];
+
+/**
+ * Info panel content for an album cover
+ * @param {Object} album - Entry from VINYL_ALBUMS
+ * @returns {{title: string, content: string}} Panel title and HTML
+ */
+export function getAlbumContent(album) {
+    const tracks = album.tracks?.length
+        ? `
+            <h3>Track Listing</h3>
+            <ol>${album.tracks.map(track => track === album.favoriteTrack ? `<li><strong>${track}</strong> ★</li>` : `<li>${track}</li>`).join('')}</ol>`
+        : '';
+
+    return {
+        title: album.title,
+        content: `
+            <h3>${album.artist}</h3>
+            <ul>
+                <li><strong>Released:</strong> ${album.year}</li>
+                <li><strong>Favorite track:</strong> ${album.favoriteTrack}</li>
+            </ul>${tracks}
+        `
+    };
+}
+
 /**
  * Content data for each interactive object
  * Customize this to show your personal information
@@ -264,3 +346,86 @@ export const CONTENT_DATA = {
         `
     }
 };
+
+/**
+ * Structured document shown on the main monitor screen.
+ * Laid out, measured and paginated by MonitorRenderer - edit text here rather than canvas draw calls.
+ *
+ * Block types:
+ *   title / subtitle / heading / subheading / paragraph - { type, text }
+ *   list     - { type, items: string[] }
+ *   keyValue - { type, rows: [{ key, value }] }
+ *   link     - { type, label?, text, href }
+ */
+export const MONITOR_DOCUMENT = [
+    { type: 'title', text: 'Rob Keys' },
+    { type: 'subtitle', text: 'Software Development Engineer @ Amazon Web Services' },
+
+    { type: 'heading', text: 'About This Site' },
+    { type: 'paragraph', text: 'This interactive 3D portfolio features a scrollable main monitor (use your mouse wheel!), dynamic lighting that syncs with your local time of day, and various interactive objects on the desk.' },
+    { type: 'paragraph', text: 'Clickable objects include:' },
+    {
+        type: 'list',
+        items: [
+            'Monitor (About Me)',
+            'Laptop (Work Experience)',
+            'Keyboard (Skills)',
+            'Mouse (Navigation & Tools)',
+            'Digital Clock (Time Management)',
+            'Notebook (Personal Projects)',
+            'Coffee Mug (What Drives Me)',
+            'Desk Lamp (Resume & Documents)',
+            'Books (Resume & Transcript)',
+            'Pothos (Work-Life Balance)',
+            'Diploma (Education)',
+            'Vinyl Records (Music & Creativity)'
+        ]
+    },
+
+    { type: 'heading', text: 'About Me' },
+    { type: 'paragraph', text: 'Hi! I\'m a Software Development Engineer at Amazon Web Services with a passion for building scalable, impactful systems. I graduated from UVA with a B.S. in Computer Science, maintaining a 4.0 GPA while completing my degree in just three years.' },
+
+    { type: 'heading', text: 'Education' },
+    { type: 'subheading', text: 'University of Virginia' },
+    { type: 'paragraph', text: 'B.S. Computer Science' },
+    {
+        type: 'list',
+        items: [
+            'GPA: 4.0',
+            'Graduated in 3 years',
+            'NCAE-Certified Cybersecurity Focal Path'
+        ]
+    },
+
+    { type: 'heading', text: 'Skills & Expertise' },
+    { type: 'subheading', text: 'Cloud Architecture' },
+    { type: 'paragraph', text: 'Design and implementation of scalable systems using AWS services and consensus algorithms like Raft' },
+    { type: 'subheading', text: 'Data Structures & Algorithms' },
+    { type: 'paragraph', text: 'Strong foundation in computational problem-solving with experience in optimization and complexity analysis' },
+    { type: 'subheading', text: 'Cybersecurity' },
+    { type: 'paragraph', text: 'NCAE-certified focal path with hands-on experience building privacy protection systems' },
+
+    { type: 'heading', text: 'Professional Experience' },
+    { type: 'subheading', text: 'Amazon Web Services' },
+    {
+        type: 'keyValue',
+        rows: [
+            { key: 'Role', value: 'Software Development Engineer' },
+            { key: 'Dates', value: '2026 - Present' }
+        ]
+    },
+    { type: 'paragraph', text: 'Building scalable cloud infrastructure and services that power businesses worldwide.' },
+
+    { type: 'heading', text: 'What Drives Me' },
+    { type: 'subheading', text: 'Creating Meaningful Impact' },
+    { type: 'paragraph', text: 'Technology has the power to improve lives. I want to build software that solves real problems and makes a tangible difference.' },
+    { type: 'subheading', text: 'Solving Complex Challenges' },
+    { type: 'paragraph', text: 'I\'m drawn to problems that require deep thinking and creative solutions. Each project teaches me something new.' },
+    { type: 'subheading', text: 'Innovation & Learning' },
+    { type: 'paragraph', text: 'I\'m constantly exploring new technologies and methodologies to stay at the forefront of software engineering.' },
+
+    { type: 'heading', text: 'Get In Touch' },
+    { type: 'link', label: 'Email', text: 'rob_keys@outlook.com', href: 'mailto:rob_keys@outlook.com' },
+    { type: 'link', label: 'LinkedIn', text: 'linkedin.com/in/rob-keys', href: 'https://www.linkedin.com/in/rob-keys/' },
+    { type: 'link', label: 'Resume', text: 'Download PDF', href: '/assets/files/Rob_Keys_Resume.pdf' }
+];
@@ -0,0 +1,193 @@
+/**
+ * Screen-reader accessibility
+ * Mirrors the interactive 3D objects as a visually hidden DOM structure
+ * and announces zoom/focus changes through an ARIA live region
+ */
+
+export class SceneAccessibility {
+    /**
+     * @param {InteractionManager} interactionManager - Source of objects and interaction events
+     * @param {HTMLCanvasElement} canvas - The WebGL canvas to describe
+     */
+    constructor(interactionManager, canvas = null) {
+        this.interactionManager = interactionManager;
+        this.root = null;
+        this.announcer = null;
+        this.buttons = new Map(); // object -> button
+        this.activeButton = null; // Button that opened the current zoom (focus returns here)
+
+        this.describeCanvas(canvas);
+        this.build();
+        this.bindEvents();
+    }
+
+    /**
+     * Give the canvas a text alternative instead of an unlabeled graphic
+     */
+    describeCanvas(canvas) {
+        if (!canvas) return;
+        canvas.setAttribute('role', 'img');
+        canvas.setAttribute('aria-label', 'A 3D desk with objects that each open a section of the portfolio. Use the object list to explore.');
+    }
+
+    /**
+     * Build the hidden object list, content sections and live region
+     */
+    build() {
+        const im = this.interactionManager;
+
+        this.root = document.createElement('section');
+        this.root.id = 'sr-scene';
+        this.root.className = 'visually-hidden';
+        this.root.setAttribute('aria-label', 'Portfolio desk objects');
+
+        const heading = document.createElement('h1');
+        heading.textContent = document.title;
+        this.root.appendChild(heading);
+
+        const intro = document.createElement('p');
+        intro.textContent = 'Each button zooms the 3D view to a desk object and opens its details panel. The same details are listed below.';
+        this.root.appendChild(intro);
+
+        // One button per interactive object, in the same left-to-right order as keyboard navigation
+        const list = document.createElement('ul');
+        const objects = im.getNavigationOrder();
+        objects.forEach(object => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = object.userData.label || object.userData.name;
+            if (object.userData.action === 'toggle') {
+                // Switch-like objects (the lamp switch) flip in place
+                button.setAttribute('aria-pressed', String(!!object.userData.isOn?.()));
+                button.addEventListener('click', () => im.toggleObject(object));
+            } else {
+                button.addEventListener('click', () => {
+                    this.activeButton = button;
+                    im.zoomToObject(object);
+                    im.infoPanel.focusTitle();
+                });
+            }
+            // The buttons are invisible, so show sighted keyboard users where they are in the scene
+            button.addEventListener('focus', () => {
+                this.setTabStop(button);
+                if (im.getFocusedObject() !== object) im.focusObject(object);
+            });
+            item.appendChild(button);
+            list.appendChild(item);
+            this.buttons.set(object, button);
+        });
+        this.root.appendChild(list);
+
+        // The list is one Tab stop (roving tabindex); arrow keys move between its buttons
+        this.setTabStop(this.buttons.get(objects[0]));
+        list.addEventListener('keydown', (event) => this.onListKeyDown(event));
+        this.root.addEventListener('focusout', (event) => {
+            if (!this.root.contains(event.relatedTarget)) im.clearFocus();
+        });
+
+        // Full text of each object's content so it can be read without zooming
+        objects.forEach(object => {
+            const data = im.infoPanel.contentFor(object);
+            if (!data) return;
+
+            const article = document.createElement('article');
+            const title = document.createElement('h2');
+            title.textContent = object.userData.label || data.title;
+            article.appendChild(title);
+
+            const body = document.createElement('div');
+            body.innerHTML = data.content;
+            article.appendChild(body);
+            this.root.appendChild(article);
+        });
+
+        // Polite live region for zoom and focus announcements
+        this.announcer = document.createElement('div');
+        this.announcer.id = 'sr-announcer';
+        this.announcer.className = 'visually-hidden';
+        this.announcer.setAttribute('role', 'status');
+        this.announcer.setAttribute('aria-live', 'polite');
+
+        // First in the document so Tab reaches the list before the overlay controls
+        document.body.prepend(this.root);
+        document.body.appendChild(this.announcer);
+    }
+
+    /**
+     * Announce zoom, reset and keyboard focus changes
+     */
+    bindEvents() {
+        const im = this.interactionManager;
+
+        im.on('zoom', (object) => {
+            const data = im.infoPanel.contentFor(object);
+            const label = object.userData.label || object.userData.name;
+            this.announce(data ? `Zoomed to ${label}. ${data.title} panel opened.` : `Zoomed to ${label}.`);
+        });
+
+        im.on('reset', () => {
+            this.announce('Returned to the desk overview.');
+
+            // Put focus back where a screen-reader user started
+            if (this.activeButton) {
+                this.activeButton.focus();
+                this.activeButton = null;
+            }
+        });
+
+        im.on('toggle', (object, on) => {
+            this.buttons.get(object)?.setAttribute('aria-pressed', String(on));
+            this.announce(`${object.userData.label || object.userData.name} ${on ? 'on' : 'off'}.`);
+        });
+
+        // Keep DOM focus on the list button of the object focused in the scene
+        // (arrow keys pressed on the canvas), so Tab and Enter continue from there
+        im.on('focus', (object) => {
+            const button = object && this.buttons.get(object);
+            if (button) {
+                if (document.activeElement !== button) button.focus({ preventScroll: true });
+            } else if (!object && this.root.contains(document.activeElement)) {
+                document.activeElement.blur();
+            }
+        });
+    }
+
+    /**
+     * Arrow keys in the object list move to the previous/next object's button
+     */
+    onListKeyDown(event) {
+        const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[event.key];
+        const buttons = [...this.buttons.values()];
+        const current = buttons.indexOf(event.target);
+        if (!step || current === -1) return;
+
+        // Handled here, so InteractionManager leaves the key alone
+        event.preventDefault();
+        buttons[(current + step + buttons.length) % buttons.length].focus();
+    }
+
+    /**
+     * Make a list button the one Tab stop of the object list
+     * @param {HTMLButtonElement} button - Button that should receive Tab focus
+     */
+    setTabStop(button) {
+        this.buttons.forEach(other => {
+            other.tabIndex = other === button ? 0 : -1;
+        });
+    }
+
+    /**
+     * Speak a message through the live region
+     * @param {string} message - Text to announce
+     */
+    announce(message) {
+        if (!this.announcer) return;
+
+        // Clear first so repeating the same message is still announced
+        this.announcer.textContent = '';
+        setTimeout(() => {
+            this.announcer.textContent = message;
+        }, 50);
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * Audio controls
+ * Album preview player (play/pause, volume) and the global mute button.
+ * Selecting an album cover with a userData.audioPreview plays its clip
+ * from the cover itself; zooming away fades it out.
+ */
+
+export class AudioControls {
+    /**
+     * @param {AudioSystem} audioSystem - Playback, fades and master volume
+     * @param {InteractionManager} interactionManager - Source of zoom/reset events
+     */
+    constructor(audioSystem, interactionManager) {
+        this.audio = audioSystem;
+        this.interactionManager = interactionManager;
+
+        // Selected album: { object, url, sound, playing }
+        this.current = null;
+
+        this.player = document.getElementById('audio-player');
+        this.playButton = document.getElementById('audio-play');
+        this.title = document.getElementById('audio-title');
+        this.status = document.getElementById('audio-status');
+        this.volumeInput = document.getElementById('audio-volume');
+        this.muteButton = document.getElementById('mute-btn');
+
+        if (this.volumeInput) this.volumeInput.value = this.audio.volume;
+        this.updateMuteButton();
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.playButton?.addEventListener('click', () => {
+            if (this.current?.playing) this.pause();
+            else this.play();
+        });
+
+        this.volumeInput?.addEventListener('input', () => {
+            this.audio.setVolume(parseFloat(this.volumeInput.value));
+        });
+
+        this.muteButton?.addEventListener('click', () => {
+            this.audio.toggleMute();
+            this.updateMuteButton();
+        });
+
+        this.interactionManager.on('zoom', (object) => this.select(object));
+        this.interactionManager.on('reset', () => this.select(null));
+    }
+
+    /**
+     * Switch the player to an object's preview (or close it)
+     * @param {THREE.Object3D|null} object - Newly zoomed object
+     */
+    select(object) {
+        if (this.current?.object === object) return;
+
+        this.stop();
+
+        const url = object?.userData.audioPreview;
+        if (!url) {
+            this.player?.setAttribute('hidden', '');
+            return;
+        }
+
+        this.current = { object, url, sound: null, playing: false };
+        if (this.title) this.title.textContent = object.userData.label || object.userData.name;
+        this.setStatus('');
+        if (this.playButton) this.playButton.disabled = false;
+        this.player?.removeAttribute('hidden');
+
+        // Autoplay only after the user has interacted; otherwise wait for the play button
+        if (this.audio.isUnlocked()) {
+            this.play();
+        } else {
+            this.updatePlayButton();
+        }
+    }
+
+    /**
+     * Start or resume the current preview with a fade-in
+     */
+    async play() {
+        const current = this.current;
+        if (!current) return;
+
+        this.audio.unlock();
+        current.playing = true;
+        this.updatePlayButton();
+
+        if (!current.sound) {
+            this.setStatus('Loading…');
+
+            let buffer;
+            try {
+                buffer = await this.audio.loadBuffer(current.url);
+            } catch (error) {
+                console.warn(error.message);
+                if (this.current === current) this.showUnavailable();
+                return;
+            }
+
+            // Selection changed or paused while loading
+            if (this.current !== current || !current.playing) return;
+
+            this.setStatus('');
+            current.sound = this.audio.createPositionalSound(current.object, buffer);
+            this.watchForEnd(current);
+        }
+
+        this.audio.fadeIn(current.sound);
+    }
+
+    /**
+     * Fade out and pause, keeping the playback position
+     */
+    pause() {
+        const current = this.current;
+        if (!current) return;
+
+        current.playing = false;
+        this.updatePlayButton();
+        if (current.sound) this.audio.fadeOut(current.sound);
+    }
+
+    /**
+     * Fade out and discard the current preview
+     */
+    stop() {
+        if (!this.current) return;
+
+        const { sound } = this.current;
+        this.current = null;
+        if (sound) this.audio.fadeOut(sound, { dispose: true });
+    }
+
+    /**
+     * Reset the player when a clip plays to the end, so Play starts it over
+     */
+    watchForEnd(current) {
+        const sound = current.sound;
+        sound.onEnded = () => {
+            this.audio.disposeSound(sound);
+            current.sound = null;
+            current.playing = false;
+            if (this.current === current) this.updatePlayButton();
+        };
+    }
+
+    showUnavailable() {
+        this.current.playing = false;
+        this.setStatus('Preview unavailable');
+        this.updatePlayButton();
+        if (this.playButton) this.playButton.disabled = true;
+    }
+
+    setStatus(text) {
+        if (this.status) this.status.textContent = text;
+    }
+
+    updatePlayButton() {
+        if (!this.playButton) return;
+
+        const playing = !!this.current?.playing;
+        this.playButton.textContent = playing ? '❚❚' : '▶';
+        this.playButton.setAttribute('aria-label', playing ? 'Pause preview' : 'Play preview');
+    }
+
+    updateMuteButton() {
+        if (!this.muteButton) return;
+
+        const muted = this.audio.muted;
+        this.muteButton.textContent = muted ? '🔇' : '🔊';
+        this.muteButton.setAttribute('aria-pressed', String(muted));
+        this.muteButton.setAttribute('aria-label', muted ? 'Unmute sound' : 'Mute sound');
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * Info panel
+ * Displays the authored CONTENT_DATA (or per-object userData.contentData)
+ * for the currently zoomed object in the animated side panel (#info-panel)
+ */
+
+import { CONTENT_DATA } from '../config/content.js';
+
+export class InfoPanel {
+    constructor() {
+        this.panel = document.getElementById('info-panel');
+        this.contentElement = document.getElementById('panel-content');
+        this.closeButton = document.getElementById('close-btn');
+        this.isOpen = false;
+    }
+
+    /**
+     * Resolve the content shown for an object: its own userData.contentData
+     * (e.g. generated per album), otherwise its CONTENT_DATA entry
+     * @param {THREE.Object3D} object - Interactive object
+     * @returns {{title: string, content: string}|null} Panel content
+     */
+    contentFor(object) {
+        return object.userData.contentData || CONTENT_DATA[object.userData.content] || null;
+    }
+
+    /**
+     * Open the panel with the content for an object
+     * @param {THREE.Object3D} object - The zoomed object
+     * @returns {boolean} True if content exists and the panel was opened
+     */
+    show(object) {
+        const data = this.contentFor(object);
+        if (!this.panel || !data) {
+            this.hide();
+            return false;
+        }
+
+        this.contentElement.innerHTML = `<h2 id="panel-title" tabindex="-1">${data.title}</h2>${data.content}`;
+        this.panel.scrollTop = 0;
+        this.panel.classList.add('open');
+        this.panel.setAttribute('aria-hidden', 'false');
+        this.isOpen = true;
+        return true;
+    }
+
+    /**
+     * Move keyboard/screen-reader focus to the panel title
+     */
+    focusTitle() {
+        const title = this.contentElement?.querySelector('#panel-title');
+        if (this.isOpen && title) {
+            title.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Close the panel (slides out via CSS transition)
+     */
+    hide() {
+        if (!this.panel || !this.isOpen) return;
+
+        this.panel.classList.remove('open');
+        this.panel.setAttribute('aria-hidden', 'true');
+        this.isOpen = false;
+    }
+
+    /**
+     * Register a handler for the close button
+     * @param {Function} handler - Called when the close button is clicked
+     */
+    onClose(handler) {
+        if (this.closeButton) {
+            this.closeButton.addEventListener('click', handler);
+        }
+    }
+
+    /**
+     * Check whether a DOM node belongs to the panel
+     * Used to keep panel clicks and scrolling from reaching the 3D scene
+     * @param {Node} node - Event target to test
+     * @returns {boolean} True if the node is inside the panel
+     */
+    contains(node) {
+        return !!(this.panel && node instanceof Node && this.panel.contains(node));
+    }
+}
@@ -3,8 +3,13 @@
  * Manages user interactions, raycasting, camera zoom, and UI panels
  */
 
-import { PORTFOLIO_CONFIG, ZOOM_CONFIG } from '../config/config.js';
+import { PORTFOLIO_CONFIG, ZOOM_CONFIG, HOVER_CONFIG } from '../config/config.js';
 import { MonitorRenderer } from '../factories/monitor-renderer.js';
+import { InfoPanel } from './info-panel.js';
+import { Tooltip } from './tooltip.js';
+import { ObjectDrag } from './object-drag.js';
+import { HoverHighlight } from '../systems/hover-highlight.js';
+import { requestRender } from '../systems/render-scheduler.js';
 
 export class InteractionManager {
     constructor(camera, controls, interactiveObjects, scene) {
@@ -23,30 +28,62 @@ export class InteractionManager {
         this.monitorScrollOffset = 0;
         this.monitorMesh = null;
         this.hoveredObject = null;
-        this.hoverLight = null;
         this.lastTouchTime = 0;
         this.touchStartPosition = new THREE.Vector2();
 
+        // Event listeners registered through on() (zoom, reset, focus)
+        this._listeners = {};
+
+        // Keyboard focus (Tab/arrow navigation) and its on-screen label
+        this.focusedObject = null;
+        this.focusLabel = document.getElementById('focus-label');
+
         // Hint glow state -- outlines appear after 5s without clicking an object
         this.outlinePass = null;
         this.hintActive = false;
         this.hintTimer = null;
+        this.hintTimerPaused = false;
         this.HINT_DELAY = 5000;
 
-        // Monitor renderer for canvas content
-        this.monitorRenderer = new MonitorRenderer();
+        // Monitor renderer for canvas content (shared with the monitor factory when available)
+        const monitor = interactiveObjects.find(obj => obj.userData.name === 'monitor');
+        this.monitorRenderer = monitor?.userData.monitorRenderer || new MonitorRenderer();
+
+        // Side panel showing CONTENT_DATA for the zoomed object
+        this.infoPanel = new InfoPanel();
+        this.infoPanel.onClose(() => this.resetCamera());
+
+        // Label that follows the pointer over interactive objects
+        this.tooltip = new Tooltip();
+
+        // Eased point light over the hovered object (updated from the animation loop)
+        this.hoverHighlight = new HoverHighlight(scene);
+
+        // Pointer dragging of object parts that expose userData.dragHandle (the lamp head)
+        this.objectDrag = new ObjectDrag(this);
 
         this.initEventListeners();
-        this.createHoverLight();
     }
 
     /**
-     * Create hover light for interactive highlighting
+     * Subscribe to interaction events
+     * - 'zoom'  (object)          after zoomToObject starts
+     * - 'reset' (previousObject)  when resetCamera starts zooming out
+     * - 'focus' (object|null)     when keyboard focus changes
+     * - 'toggle' (object, on)     after a switch-like object is toggled
+     * @param {string} type - Event name
+     * @param {Function} handler - Called with the event arguments
      */
-    createHoverLight() {
-        this.hoverLight = new THREE.PointLight(0xffffff, 0, 3);
-        this.hoverLight.visible = false;
-        // Add to scene through a reference we'll set later
+    on(type, handler) {
+        if (!this._listeners[type]) this._listeners[type] = [];
+        this._listeners[type].push(handler);
+    }
+
+    /**
+     * Notify listeners of an interaction event
+     */
+    _emit(type, ...args) {
+        (this._listeners[type] || []).forEach(handler => handler(...args));
     }
 
     /**
@@ -56,17 +93,197 @@ export class InteractionManager {
         window.addEventListener('mousemove', (e) => this.onMouseMove(e));
         window.addEventListener('click', (e) => this.onMouseClick(e));
         window.addEventListener('wheel', (e) => this.onMouseWheel(e));
+
+        // Hide the tooltip when the pointer leaves the window
+        document.addEventListener('mouseout', (e) => {
+            if (!e.relatedTarget) this.clearHover();
+        });
+
+        // Browser back/forward drives zoom in and out via the URL hash
+        window.addEventListener('popstate', () => this.syncWithHash());
         
         // Add touch listeners for better mobile support
         window.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: false });
         window.addEventListener('touchend', (e) => this.onTouchEnd(e), { passive: false });
 
-        // Close panel with Escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.currentZoomedObject) {
-                this.resetCamera();
+        // Keyboard navigation, Escape to close, PageUp/PageDown for monitor content
+        document.addEventListener('keydown', (e) => this.onKeyDown(e));
+    }
+
+    /**
+     * Handle keyboard input
+     * Arrow keys cycle focus through interactive objects (Tab reaches them as a
+     * single stop through the screen-reader object list, see SceneAccessibility),
+     * Enter/Space zooms to the focused object, Escape zooms out or clears focus
+     */
+    onKeyDown(event) {
+        // Already handled by the focused control (arrow keys in the object list)
+        if (event.defaultPrevented) return;
+
+        // Let the browser handle activation on focused DOM controls
+        // (info panel links, close button, the screen-reader object list)
+        const onControl = event.target instanceof Element &&
+            event.target !== document.body &&
+            !!event.target.closest('button, a, input, select, textarea, [tabindex]');
+
+        switch (event.key) {
+            case 'Escape':
+                if (this.currentZoomedObject) {
+                    this.resetCamera();
+                } else {
+                    this.clearFocus();
+                }
+                break;
+            case 'ArrowRight':
+            case 'ArrowDown':
+                // Controls keep their arrow keys (sliders, scrolling the info panel)
+                if (onControl) return;
+                event.preventDefault();
+                this.moveFocus(1);
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                if (onControl) return;
+                event.preventDefault();
+                this.moveFocus(-1);
+                break;
+            case 'Enter':
+            case ' ': {
+                const focused = this.getFocusedObject();
+                if (onControl || !focused) return;
+                event.preventDefault();
+                if (focused.userData.action === 'toggle') {
+                    this.toggleObject(focused);
+                } else if (focused === this.currentZoomedObject) {
+                    this.resetCamera();
+                } else {
+                    this.zoomToObject(focused);
+                }
+                break;
             }
-        });
+            case 'PageDown':
+            case 'PageUp':
+                if (this.currentZoomedObject?.userData.name === 'monitor') {
+                    event.preventDefault();
+                    this.pageMonitor(event.key === 'PageDown' ? 1 : -1);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Move keyboard focus to the next/previous interactive object (left to right)
+     * @param {number} step - 1 for next, -1 for previous
+     */
+    moveFocus(step) {
+        const order = this.getNavigationOrder();
+        if (order.length === 0) return;
+
+        const current = order.indexOf(this.getFocusedObject());
+        const next = current === -1
+            ? (step > 0 ? 0 : order.length - 1)
+            : (current + step + order.length) % order.length;
+
+        this.focusObject(order[next]);
+    }
+
+    /**
+     * Give an object keyboard focus (label, outline, 'focus' event)
+     * @param {THREE.Object3D} object - One of the interactive objects
+     */
+    focusObject(object) {
+        this.focusedObject = object;
+
+        // Keyboard use counts as interaction - suppress the idle hint
+        this.hintActive = false;
+        if (this.hintTimer) clearTimeout(this.hintTimer);
+        this.hintTimer = null;
+
+        this.updateFocusLabel();
+        this.refreshOutline();
+        this._emit('focus', this.focusedObject);
+    }
+
+    /**
+     * Clear keyboard focus and hide its label and outline
+     */
+    clearFocus() {
+        if (!this.focusedObject) return;
+
+        this.focusedObject = null;
+        this.updateFocusLabel();
+        this.refreshOutline();
+        this.startHintTimer();
+        this._emit('focus', null);
+    }
+
+    /**
+     * Get the object that currently has keyboard focus
+     * @returns {THREE.Object3D|null} The focused object
+     */
+    getFocusedObject() {
+        return this.focusedObject;
+    }
+
+    /**
+     * Interactive objects sorted left to right by world position
+     * so arrow keys move focus in the direction they point
+     * @returns {THREE.Object3D[]} Objects in navigation order
+     */
+    getNavigationOrder() {
+        if (!this._navigationOrder || this._navigationOrder.length !== this.interactiveObjects.length) {
+            const position = new THREE.Vector3();
+            this._navigationOrder = [...this.interactiveObjects].sort((a, b) =>
+                a.getWorldPosition(position).x - b.getWorldPosition(position).x
+            );
+        }
+        return this._navigationOrder;
+    }
+
+    /**
+     * Show the focused object's label on screen
+     */
+    updateFocusLabel() {
+        if (!this.focusLabel) return;
+
+        const focused = this.getFocusedObject();
+        if (focused) {
+            let action = focused === this.currentZoomedObject ? 'close' : 'explore';
+            if (focused.userData.action === 'toggle') {
+                action = `turn ${focused.userData.isOn?.() ? 'off' : 'on'}`;
+            }
+            this.focusLabel.innerHTML = `${focused.userData.label || focused.userData.name}<span class="focus-hint">Enter to ${action}</span>`;
+            this.focusLabel.classList.add('visible');
+        } else {
+            this.focusLabel.classList.remove('visible');
+        }
+    }
+
+    /**
+     * Decide what the outline pass highlights: the keyboard-focused object first,
+     * then the hovered object, otherwise the idle hint on all objects
+     */
+    refreshOutline() {
+        requestRender();
+        if (!this.outlinePass) return;
+
+        const focused = this.getFocusedObject();
+        const hovered = HOVER_CONFIG.useOutline ? this.hoveredObject : null;
+        if (focused || hovered) {
+            gsap.killTweensOf(this.outlinePass);
+            this.outlinePass.selectedObjects = [focused || hovered];
+            this.outlinePass.edgeStrength = focused ? 3.0 : HOVER_CONFIG.outlineStrength;
+            this.outlinePass.enabled = true;
+        } else if (this.hintActive) {
+            this.outlinePass.selectedObjects = this.interactiveObjects;
+            if (!gsap.isTweening(this.outlinePass)) {
+                this.outlinePass.edgeStrength = 2.0;
+                this.outlinePass.enabled = true;
+            }
+        } else if (!gsap.isTweening(this.outlinePass)) {
+            // Leave a running hint fade-out alone; it disables the pass when done
+            this.outlinePass.enabled = false;
+        }
     }
 
     onTouchStart(event) {
@@ -91,21 +308,40 @@ export class InteractionManager {
                     clientX: touch.clientX,
                     clientY: touch.clientY,
                     preventDefault: () => {},
+                    target: event.target,
                     type: 'touch' // Mark as touch event
                 });
             }
         }
     }
 
+    /**
+     * Check whether a DOM event was aimed at the 3D canvas rather than overlay UI
+     * @param {Event} event - Mouse, wheel or synthesized touch event
+     * @returns {boolean} True if the event targets the scene
+     */
+    isSceneEvent(event) {
+        return !(event.target instanceof Element) || event.target.tagName === 'CANVAS';
+    }
+
     /**
      * Handle mouse movement for hover effects
      */
     onMouseMove(event) {
+        // ObjectDrag owns the cursor while a handle is being dragged
+        if (this.objectDrag.isDragging()) return;
+
+        // Pointer is over overlay UI (info panel etc.), not the scene
+        if (!this.isSceneEvent(event)) {
+            this.clearHover();
+            return;
+        }
+
         // Update mouse position
         this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
         this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
-        // Update hover light on interactive objects (only when not zoomed)
+        // Update hover highlight on interactive objects (only when not zoomed)
         if (!this.currentZoomedObject) {
             this.raycaster.setFromCamera(this.mouse, this.camera);
             const intersects = this.raycaster.intersectObjects(this.interactiveObjects, true);
@@ -117,52 +353,46 @@ export class InteractionManager {
                 }
 
                 if (object) {
-                    document.body.style.cursor = 'pointer';
-                    this.updateHoverLight(object, intersects[0].point);
+                    document.body.style.cursor = this.objectDrag.isHandle(intersects[0].object, object) ? 'grab' : 'pointer';
+                    this.setHover(object, intersects[0].point);
+                    this.tooltip.show(object.userData.label, event.clientX, event.clientY);
                 }
             } else {
                 document.body.style.cursor = 'default';
-                
-                // Hide hover light
-                this.hideHoverLight();
+                this.clearHover();
             }
+        } else if (this.currentZoomedObject.userData.name === 'monitor') {
+            // Show a pointer over links drawn on the monitor screen
+            this.raycaster.setFromCamera(this.mouse, this.camera);
+            document.body.style.cursor = this.getMonitorLinkAtPointer() ? 'pointer' : 'default';
         }
     }
 
     /**
-     * Update hover light position and intensity
+     * Highlight the object under the pointer
+     * @param {THREE.Object3D} object - Hovered interactive object
+     * @param {THREE.Vector3} point - World-space intersection point
      */
-    updateHoverLight(object, point) {
-        if (this.hoverLight) {
-            // Position light slightly above the hover point
-            this.hoverLight.position.copy(point);
-            this.hoverLight.position.y += 0.3;
-            
-            // Animate light intensity
-            this.hoverLight.intensity = Math.min(1.0, this.hoverLight.intensity + 0.1);
-            
-            // Add to scene if not already added
-            if (!this.hoverLight.parent && this.scene) {
-                this.scene.add(this.hoverLight);
-            }
-            
-            // Update hovered object tracking
-            if (this.hoveredObject !== object) {
-                this.hoveredObject = object;
-            }
+    setHover(object, point) {
+        this.hoverHighlight.setTarget(object, point);
+        requestRender(); // The light follows the pointer
+
+        if (this.hoveredObject !== object) {
+            this.hoveredObject = object;
+            this.refreshOutline();
         }
     }
 
     /**
-     * Hide hover light with fade animation
+     * Fade out the hover highlight and hide the tooltip
      */
-    hideHoverLight() {
-        if (this.hoverLight && this.hoverLight.intensity > 0) {
-            this.hoverLight.intensity = Math.max(0, this.hoverLight.intensity - 0.1);
-            if (this.hoverLight.intensity === 0) {
-                this.hoverLight.visible = false;
-                this.hoveredObject = null;
-            }
+    clearHover() {
+        this.hoverHighlight.clear();
+        this.tooltip.hide();
+
+        if (this.hoveredObject) {
+            this.hoveredObject = null;
+            this.refreshOutline();
         }
     }
 
@@ -173,11 +403,27 @@ export class InteractionManager {
         // Ignore native click events if we just handled a touch tap
         if (event.type === 'click' && Date.now() - this.lastTouchTime < 500) return;
 
+        // Releasing a dragged handle is not a click
+        if (this.objectDrag.justDragged()) return;
+
+        // Clicks on overlay UI (panel links, close button, accessible object list) are not scene clicks
+        if (!this.isSceneEvent(event)) return;
+
         // Update mouse coordinates explicitly for touch devices
         this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
         this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
         this.raycaster.setFromCamera(this.mouse, this.camera);
+
+        // Links on the monitor screen take priority while zoomed on the monitor
+        if (this.currentZoomedObject?.userData.name === 'monitor') {
+            const link = this.getMonitorLinkAtPointer();
+            if (link) {
+                this.openLink(link.href);
+                return;
+            }
+        }
+
         const intersects = this.raycaster.intersectObjects(this.interactiveObjects, true);
 
         if (intersects.length > 0) {
@@ -188,10 +434,19 @@ export class InteractionManager {
             }
 
             if (clickedObject) {
+                // Mouse interaction takes over from keyboard focus
+                this.clearFocus();
+
                 // Hide hint outlines and restart the timer
                 this.hideHint();
                 this.startHintTimer();
 
+                // Switch-like objects (the lamp switch) toggle in place instead of zooming
+                if (clickedObject.userData.action === 'toggle') {
+                    this.toggleObject(clickedObject);
+                    return;
+                }
+
                 // If already zoomed, either zoom to new object or reset if clicking same object
                 if (this.currentZoomedObject) {
                     if (clickedObject === this.currentZoomedObject) {
@@ -216,33 +471,59 @@ export class InteractionManager {
         }
     }
 
+    /**
+     * Flip a switch-like object (userData.toggle) and report its new state
+     * @param {THREE.Object3D} object - Object with action 'toggle'
+     * @returns {boolean} True if the object is now on
+     */
+    toggleObject(object) {
+        const on = object.userData.toggle();
+        this.updateFocusLabel();
+        this._emit('toggle', object, on);
+        return on;
+    }
+
     /**
      * Zoom camera to focus on an object
      */
-    zoomToObject(object) {
+    zoomToObject(object, { updateHistory = true } = {}) {
+        // Cancel any in-flight zoom/reset so its onComplete can't undo this zoom
+        gsap.killTweensOf(this.camera.position);
+        gsap.killTweensOf(this.controls.target);
+
+        // Store original camera position (only when zooming in from the overview,
+        // so switching between objects still returns to where the user started)
+        if (!this.currentZoomedObject) {
+            this.originalCameraPosition = {
+                x: this.camera.position.x,
+                y: this.camera.position.y,
+                z: this.camera.position.z
+            };
+            this.originalControlsTarget = {
+                x: this.controls.target.x,
+                y: this.controls.target.y,
+                z: this.controls.target.z
+            };
+        }
+
+        // Let objects animate on (de)selection, e.g. shelf books sliding out
+        if (this.currentZoomedObject && this.currentZoomedObject !== object) {
+            this.currentZoomedObject.userData.onDeselect?.();
+        }
+        object.userData.onSelect?.();
+
         this.currentZoomedObject = object;
         this.controls.enabled = false;
+        this.clearHover();
 
-        // Store original camera position
-        this.originalCameraPosition = {
-            x: this.camera.position.x,
-            y: this.camera.position.y,
-            z: this.camera.position.z
-        };
-        this.originalControlsTarget = {
-            x: this.controls.target.x,
-            y: this.controls.target.y,
-            z: this.controls.target.z
-        };
+        const objectName = object.userData.name;
 
-        // Calculate zoom position based on object type
+        // Get the object's zoom preset (from its manifest entry), falling back to default
+        const zoomSettings = ZOOM_CONFIG[object.userData.zoom] || ZOOM_CONFIG.default;
+
+        // Calculate zoom position from the object's origin
         const objectPosition = new THREE.Vector3();
         object.getWorldPosition(objectPosition);
-
-        const objectName = object.userData.name;
-
-        // Get zoom config for this object type, falling back to default
-        const zoomSettings = ZOOM_CONFIG[objectName] || ZOOM_CONFIG.default;
         let zoomDistance = zoomSettings.distance;
         const yOffset = zoomSettings.yOffset;
         const targetYOffset = zoomSettings.targetYOffset || 0;
@@ -289,17 +570,38 @@ export class InteractionManager {
             ease: ease
         });
 
+        this.infoPanel.show(object);
+        this.updateFocusLabel();
 
+        // Deep link: #monitor, #laptop, ...
+        if (updateHistory && window.location.hash !== `#${objectName}`) {
+            history.pushState(null, '', `#${objectName}`);
+        }
+
+        this._emit('zoom', object);
     }
 
     /**
      * Reset camera to original position
      */
-    resetCamera() {
+    resetCamera({ updateHistory = true } = {}) {
         if (this.currentZoomedObject) {
             const duration = PORTFOLIO_CONFIG.animation.zoomDuration;
             const ease = PORTFOLIO_CONFIG.animation.zoomEase;
 
+            gsap.killTweensOf(this.camera.position);
+            gsap.killTweensOf(this.controls.target);
+
+            this.infoPanel.hide();
+            this.currentZoomedObject.userData.onDeselect?.();
+
+            // Clear the deep link
+            if (updateHistory && window.location.hash) {
+                history.pushState(null, '', window.location.pathname + window.location.search);
+            }
+
+            this._emit('reset', this.currentZoomedObject);
+
             // Animate camera back to original position
             gsap.to(this.camera.position, {
                 x: this.originalCameraPosition.x,
@@ -318,16 +620,51 @@ export class InteractionManager {
                 onComplete: () => {
                     this.controls.enabled = true;
                     this.currentZoomedObject = null;
+                    this.updateFocusLabel();
                     this.startHintTimer();
                 }
             });
         }
     }
 
+    /**
+     * Zoom to the object named in the URL hash, or zoom out if there is none.
+     * Called on load and whenever browser back/forward changes the hash.
+     */
+    syncWithHash() {
+        let name = '';
+        try {
+            name = decodeURIComponent(window.location.hash.slice(1));
+        } catch {
+            // Malformed escape (e.g. #100%) - not a deep link
+        }
+        const object = name ? this.findObjectByName(name) : null;
+
+        if (object) {
+            if (object !== this.currentZoomedObject) {
+                this.zoomToObject(object, { updateHistory: false });
+            }
+        } else if (this.currentZoomedObject) {
+            this.resetCamera({ updateHistory: false });
+        }
+    }
+
+    /**
+     * Find an interactive object by its userData name
+     * @param {string} name - Object name (e.g. 'diploma')
+     * @returns {THREE.Object3D|null} The matching object
+     */
+    findObjectByName(name) {
+        return this.interactiveObjects.find(obj => obj.userData.name === name) || null;
+    }
+
     /**
      * Handle mouse wheel for scrolling monitor content
      */
     onMouseWheel(event) {
+        // Let the info panel and other overlays scroll natively
+        if (!this.isSceneEvent(event)) return;
+
         let shouldScroll = false;
 
         if (this.currentZoomedObject && this.currentZoomedObject.userData.name === 'monitor') {
@@ -353,62 +690,82 @@ export class InteractionManager {
         if (shouldScroll) {
             event.preventDefault();
 
-            // Update scroll offset
-            this.monitorScrollOffset += event.deltaY * 0.5;
-            this.monitorScrollOffset = Math.max(0, Math.min(this.monitorScrollOffset, 2000));
-
-            // Update monitor texture
-            this.updateMonitorTexture();
+            this.scrollMonitorTo(this.monitorScrollOffset + event.deltaY * 0.5);
         }
     }
 
     /**
-     * Update monitor texture with scrollable content
+     * Jump the monitor content one page forward or back
+     * @param {number} direction - 1 for next page, -1 for previous page
      */
-    updateMonitorTexture() {
-        if (!this.monitorMesh) return;
+    pageMonitor(direction) {
+        this.scrollMonitorTo(direction > 0
+            ? this.monitorRenderer.getNextPageOffset(this.monitorScrollOffset)
+            : this.monitorRenderer.getPreviousPageOffset(this.monitorScrollOffset));
+    }
 
-        // Find the screen mesh within the monitor group (more robust search)
-        const screenMesh = this.monitorMesh.children.find(child =>
-            child instanceof THREE.Mesh && child.userData && child.userData.isScreen
-        ) || this.monitorMesh.children.find(child =>
-            child instanceof THREE.Mesh && child.material && child.material.map
-        );
+    /**
+     * Scroll the monitor content, clamped to the laid-out document height
+     * @param {number} offset - Requested scroll offset in logical pixels
+     */
+    scrollMonitorTo(offset) {
+        const clamped = this.monitorRenderer.clampScroll(offset);
+        if (clamped === this.monitorScrollOffset) return;
 
-        if (screenMesh) {
-            const canvas = this.createMonitorCanvas(this.monitorScrollOffset);
+        this.monitorScrollOffset = clamped;
+        this.updateMonitorTexture(); // The texture repaint requests a frame
+    }
 
-            // Handle multi-material mesh (texture is on index 4: Front)
-            let targetMaterial = screenMesh.material;
-            if (Array.isArray(screenMesh.material)) {
-                targetMaterial = screenMesh.material[4];
-            }
+    /**
+     * Find the link under the pointer on the monitor screen.
+     * Expects the raycaster to already be set from the current mouse position.
+     * @returns {Object|null} Link hit rectangle with its href, or null
+     */
+    getMonitorLinkAtPointer() {
+        const screenMesh = this.getMonitorScreenMesh();
+        if (!screenMesh) return null;
 
-            // Reuse existing texture if possible to prevent memory churn
-            if (targetMaterial.map && targetMaterial.map.isCanvasTexture) {
-                targetMaterial.map.image = canvas;
-                targetMaterial.map.needsUpdate = true;
-            } else {
-                const texture = new THREE.CanvasTexture(canvas);
-                texture.anisotropy = 16;
-                texture.minFilter = THREE.LinearMipmapLinearFilter;
-                texture.magFilter = THREE.LinearFilter;
-                texture.generateMipmaps = true;
-                if (texture.colorSpace !== undefined) texture.colorSpace = THREE.SRGBColorSpace;
-                else if (THREE.sRGBEncoding !== undefined) texture.encoding = THREE.sRGBEncoding;
-                targetMaterial.map = texture;
-                targetMaterial.emissiveMap = texture;
-                targetMaterial.needsUpdate = true;
-            }
+        // Raycast the screen directly so the glare overlay in front of it doesn't get the hit
+        const hit = this.raycaster.intersectObject(screenMesh, false)[0];
+        if (!hit || !hit.uv || (hit.face && hit.face.materialIndex !== 4)) return null;
+
+        const point = this.monitorRenderer.uvToContentPoint(hit.uv, this.monitorScrollOffset);
+        return this.monitorRenderer.getLinkAt(point);
+    }
+
+    /**
+     * Open a link from the monitor screen
+     * @param {string} href - Link target (mailto: links open in the current tab)
+     */
+    openLink(href) {
+        if (href.startsWith('mailto:')) {
+            window.location.href = href;
+        } else {
+            window.open(href, '_blank', 'noopener');
         }
     }
 
     /**
-     * Create canvas for monitor with scrollable content
-     * Delegates to MonitorRenderer for actual rendering
+     * Find the screen mesh within the monitor group
+     * @returns {THREE.Mesh|null} The monitor screen mesh
      */
-    createMonitorCanvas(scrollOffset) {
-        return this.monitorRenderer.createMonitorCanvas(scrollOffset);
+    getMonitorScreenMesh() {
+        if (!this.monitorMesh) return null;
+
+        // More robust search: prefer the flagged screen, fall back to any textured mesh
+        return this.monitorMesh.children.find(child =>
+            child instanceof THREE.Mesh && child.userData && child.userData.isScreen
+        ) || this.monitorMesh.children.find(child =>
+            child instanceof THREE.Mesh && child.material && child.material.map
+        ) || null;
+    }
+
+    /**
+     * Update monitor texture with scrollable content
+     * MonitorRenderer redraws the texture the screen already uses
+     */
+    updateMonitorTexture() {
+        this.monitorRenderer.render(this.monitorScrollOffset);
     }
 
     /**
@@ -428,16 +785,43 @@ export class InteractionManager {
         if (this.hintTimer) {
             clearTimeout(this.hintTimer);
         }
-        this.hintTimer = setTimeout(() => this.showHint(), this.HINT_DELAY);
+        this.hintTimer = setTimeout(() => {
+            this.hintTimer = null;
+            this.showHint();
+        }, this.HINT_DELAY);
+    }
+
+    /**
+     * Hold a pending hint while the page is hidden (it would fade in unseen)
+     */
+    pauseHintTimer() {
+        if (!this.hintTimer) return;
+        clearTimeout(this.hintTimer);
+        this.hintTimer = null;
+        this.hintTimerPaused = true;
+    }
+
+    /**
+     * Restart a hint held by pauseHintTimer() with the full delay
+     */
+    resumeHintTimer() {
+        if (!this.hintTimerPaused) return;
+        this.hintTimerPaused = false;
+        this.startHintTimer();
     }
 
     /**
      * Fade in the hint outlines on interactive objects
      */
     showHint() {
-        if (!this.outlinePass || this.currentZoomedObject) return;
+        if (!this.outlinePass || this.currentZoomedObject || this.getFocusedObject()) return;
 
         this.hintActive = true;
+
+        // The hovered object's outline wins; the hint shows once the pointer moves off
+        if (HOVER_CONFIG.useOutline && this.hoveredObject) return;
+
+        this.outlinePass.selectedObjects = this.interactiveObjects;
         this.outlinePass.edgeStrength = 0;
         this.outlinePass.enabled = true;
 
@@ -454,14 +838,12 @@ export class InteractionManager {
     hideHint() {
         if (!this.outlinePass || !this.hintActive) return;
 
+        this.hintActive = false;
         gsap.to(this.outlinePass, {
             edgeStrength: 0,
             duration: 1.0,
             ease: 'power1.in',
-            onComplete: () => {
-                this.outlinePass.enabled = false;
-                this.hintActive = false;
-            }
+            onComplete: () => this.refreshOutline()
         });
     }
 
@@ -6,24 +6,57 @@
 import { SceneManager } from './scene.js';
 import { ObjectFactory } from '../factories/objects.js';
 import { InteractionManager } from './interactions.js';
+import { SceneAccessibility } from './accessibility.js';
+import { GuidedTour } from './tour.js';
+import { AudioControls } from './audio-controls.js';
+import { AudioSystem } from '../systems/audio.js';
+import { Soundscape } from '../systems/soundscape.js';
+import { TimeControls } from './time-controls.js';
+import { WeatherSystem } from '../systems/weather.js';
+import { QualityManager } from '../systems/quality.js';
+import { QualityControls } from './quality-controls.js';
+import { RenderScheduler } from '../systems/render-scheduler.js';
+import { LifecycleManager } from '../systems/lifecycle.js';
+import { setCanvasRepaintHandler } from '../systems/utils.js';
+import { TIME_CONFIG, WEATHER_CONFIG, RENDER_CONFIG } from '../config/config.js';
 
 class Portfolio3D {
     constructor() {
         this.sceneManager = null;
         this.objectFactory = null;
         this.interactionManager = null;
+        this.accessibility = null;
+        this.tour = null;
+        this.audioSystem = null;
+        this.audioControls = null;
+        this.soundscape = null;
+        this.timeControls = null;
+        this.weather = null;
+        this.quality = null;
+        this.qualityControls = null;
+        this.scheduler = null; // Render-on-demand loop
+        this.lifecycle = null; // Pauses the loop and timers while the scene can't be seen
+        this._refreshTimer = null;
+        this._minuteTimer = null;
         // Cached object references (populated after init)
         this._coffeeMug = null;
         this._clock = null;
+        this._frustum = new THREE.Frustum(); // Reused by isSteamOnScreen()
+        this._viewProjection = new THREE.Matrix4();
     }
 
     async init() {
         this.sceneManager = new SceneManager();
         const { scene, camera, controls } = this.sceneManager.init();
 
+        // Quality tier is chosen before objects are built (canvas texture resolution)
+        this.quality = new QualityManager(this.sceneManager);
+
         // Pass lightingSystem to ObjectFactory for dynamic glare materials
         this.objectFactory = new ObjectFactory(scene, this.sceneManager.lightingSystem);
         const interactiveObjects = await this.objectFactory.createAllObjects();
+        this.quality.apply();
+        this.qualityControls = new QualityControls(this.quality);
 
         this.interactionManager = new InteractionManager(camera, controls, interactiveObjects, scene);
 
@@ -33,6 +66,26 @@ class Portfolio3D {
             this.interactionManager.setOutlinePass(outlinePass, interactiveObjects);
         }
 
+        // Hidden DOM mirror of the scene + live announcements for screen readers
+        this.accessibility = new SceneAccessibility(this.interactionManager, this.sceneManager.renderer.domElement);
+
+        // "Take the tour" walkthrough of every interactive object
+        this.tour = new GuidedTour(this.interactionManager);
+
+        // Album previews on the vinyl wall, ambient sound + global mute
+        this.audioSystem = new AudioSystem(camera);
+        this.audioControls = new AudioControls(this.audioSystem, this.interactionManager);
+        this.soundscape = new Soundscape(this.audioSystem, this.interactionManager);
+
+        // Time-of-day scrubber and ?time= override for the day/night cycle
+        this.timeControls = new TimeControls(this.sceneManager.lightingSystem);
+
+        // Weather on the window light (local fixture provider by default)
+        if (WEATHER_CONFIG.enabled) {
+            this.weather = new WeatherSystem(this.sceneManager.lightingSystem);
+            this.weather.start();
+        }
+
         // Cache frequently-accessed objects
         const findByName = (name) => {
             // Search scene children first
@@ -56,7 +109,11 @@ class Portfolio3D {
         // Finalize objects that need post-render setup (e.g., light targeting)
         this.objectFactory.finalizeObjects();
 
-        this.animate();
+        this.startRenderLoop();
+        this.startLifecycle();
+
+        // Deep link: zoom straight to the object named in the URL hash (e.g. #diploma)
+        this.interactionManager.syncWithHash();
     }
 
     /**
@@ -73,36 +130,150 @@ class Portfolio3D {
         }
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
-        this.updateAnimations();
+    /**
+     * Start the render-on-demand loop plus the timers that keep an idle scene current
+     */
+    startRenderLoop() {
+        this.scheduler = new RenderScheduler((delta, continuous) => this.renderFrame(delta, continuous), this.sceneManager.controls);
+        this.scheduler.start();
+
+        // Textures that finish loading after the first frame need a redraw
+        THREE.DefaultLoadingManager.onProgress = () => this.scheduler.requestRender();
+        // So do canvas textures drawn outside a frame (deferred layouts, tier changes, context restore)
+        setCanvasRepaintHandler(() => this.scheduler.requestRender());
+
+        this.startRefreshTimers();
+    }
+
+    /**
+     * Suspend rendering and background timers while the tab is hidden, the
+     * canvas is offscreen or the WebGL context is lost
+     */
+    startLifecycle() {
+        this.lifecycle = new LifecycleManager(this.sceneManager);
+
+        this.lifecycle.on('pause', () => {
+            this.scheduler.stop();
+            this.stopRefreshTimers();
+            this.timeControls.stop();
+            this.weather?.stop();
+            this.soundscape.pause();
+            this.interactionManager.pauseHintTimer();
+        });
+
+        // The scheduler restarts with a nominal delta, so animations don't jump by the time away
+        this.lifecycle.on('resume', () => {
+            this.timeControls.start();
+            this.weather?.start();
+            this.soundscape.resume();
+            this.interactionManager.resumeHintTimer();
+            this.startRefreshTimers();
+            this.scheduler.start();
+        });
+
+        this.lifecycle.start();
+    }
+
+    /**
+     * Day/night lighting drifts slowly; redraw now and then instead of every frame
+     */
+    startRefreshTimers() {
+        this._refreshTimer = setInterval(() => this.scheduler.requestRender(), RENDER_CONFIG.dayNightRefreshSeconds * 1000);
+        this.scheduleMinuteTick();
+    }
+
+    stopRefreshTimers() {
+        clearInterval(this._refreshTimer);
+        clearTimeout(this._minuteTimer);
+        this._refreshTimer = null;
+        this._minuteTimer = null;
+    }
+
+    /**
+     * Redraw just after each minute boundary so the desk clock ticks while idle
+     */
+    scheduleMinuteTick() {
+        const now = new Date();
+        const untilNextMinute = 60000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+        this._minuteTimer = setTimeout(() => {
+            this.scheduler.requestRender();
+            this.scheduleMinuteTick();
+        }, untilNextMinute + 50);
+    }
+
+    /**
+     * Update and draw one frame (called by the RenderScheduler)
+     * @param {number} delta - Seconds since the last frame
+     * @param {boolean} continuous - Follows a full-rate frame, so delta reflects GPU load
+     * @returns {string} What the scene still needs: 'active', 'ambient' or 'idle'
+     */
+    renderFrame(delta, continuous) {
+        // Idle gaps and capped frames say nothing about how fast the GPU is
+        if (continuous) this.quality.update(delta);
+
+        const animating = this.updateAnimations(delta);
         this.sceneManager.render();
+
+        if (animating) return 'active';
+
+        // Steam and the pulsing hint outline never finish; they run at the idle frame rate.
+        // Steam outside the view waits: moving the camera back requests a frame anyway
+        const outlinePulsing = this.sceneManager.getOutlinePass()?.enabled;
+        return outlinePulsing || this.isSteamOnScreen() ? 'ambient' : 'idle';
+    }
+
+    /**
+     * Whether any coffee steam wisp is inside the camera's view
+     * @returns {boolean}
+     */
+    isSteamOnScreen() {
+        if (!this._coffeeMug) return false;
+        const camera = this.sceneManager.camera;
+        this._viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        this._frustum.setFromProjectionMatrix(this._viewProjection);
+        return this._coffeeMug.children.some(child => child.userData.isSteam && this._frustum.intersectsObject(child));
     }
 
     /**
      * Update all animated elements each frame
+     * @param {number} delta - Seconds since the last frame
+     * @returns {boolean} True if something is still changing and needs full-rate frames
      */
-    updateAnimations() {
+    updateAnimations(delta) {
         // Update lighting system (day/night cycle, glare)
         if (this.sceneManager.lightingSystem) {
             this.sceneManager.lightingSystem.update(this.sceneManager.camera);
         }
 
+        // Ease the hover highlight in/out
+        const hoverFading = this.interactionManager.hoverHighlight.update(delta);
+
         // Animate coffee steam (using cached reference)
         if (this._coffeeMug?.userData.animateSteam) {
-            this._coffeeMug.userData.animateSteam.call(this._coffeeMug);
+            this._coffeeMug.userData.animateSteam.call(this._coffeeMug, delta);
         }
 
         // Update digital clock (using cached reference)
         if (this._clock?.userData.updateTime) {
-            this._clock.userData.updateTime();
+            const lighting = this.sceneManager.lightingSystem;
+            this._clock.userData.updateTime(TIME_CONFIG.clockFollowsOverride && lighting ? lighting.getTimeOfDayDate() : new Date());
         }
+
+        return hoverFading;
     }
 }
 
 document.addEventListener('DOMContentLoaded', async () => {
     const portfolio = new Portfolio3D();
-    await portfolio.init();
+    try {
+        await portfolio.init();
+    } catch (error) {
+        // Surface startup failures (e.g. an invalid scene manifest) on the loading screen
+        console.error(error);
+        const message = document.querySelector('#loading p');
+        if (message) message.textContent = `Could not load the scene: ${error.message.split('\n')[0]}`;
+        document.querySelector('#loading .spinner')?.remove();
+    }
 });
 
 window.Portfolio3D = Portfolio3D;
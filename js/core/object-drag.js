@@ -0,0 +1,145 @@
+/**
+ * Object dragging
+ * Lets the pointer drag a part of an interactive object that exposes
+ * userData.dragHandle (the part to grab) and userData.onDrag(dx, dy)
+ * (pointer movement in pixels), e.g. the desk lamp head
+ */
+
+import { requestRender } from '../systems/render-scheduler.js';
+
+// Pointer travel before a press counts as a drag instead of a click (px)
+const DRAG_THRESHOLD = 4;
+
+// How long after a drag ends its trailing click/tap is ignored (ms)
+const CLICK_SUPPRESS_MS = 300;
+
+export class ObjectDrag {
+    /**
+     * @param {InteractionManager} interactionManager - Supplies the camera, objects and scene-event test
+     */
+    constructor(interactionManager) {
+        this.interactionManager = interactionManager;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+
+        this.active = null; // { object, pointerId, startX, startY, lastX, lastY, dragging, controlsEnabled }
+        this.lastDragEnd = 0;
+
+        // Capture phase so a press on a handle never reaches OrbitControls' pointer listeners
+        window.addEventListener('pointerdown', (e) => this.onPointerDown(e), true);
+        window.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        window.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        window.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+    }
+
+    /**
+     * Check whether a raycast hit belongs to an object's drag handle
+     * @param {THREE.Object3D} hit - Intersected mesh
+     * @param {THREE.Object3D} object - The interactive object it belongs to
+     * @returns {boolean} True if the hit is on (or inside) userData.dragHandle
+     */
+    isHandle(hit, object) {
+        const handle = object.userData.dragHandle;
+        if (!handle || !object.userData.onDrag) return false;
+
+        for (let node = hit; node && node !== object.parent; node = node.parent) {
+            if (node === handle) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Find the draggable object whose handle is the nearest thing under the pointer
+     * @returns {THREE.Object3D|null} Interactive object to drag
+     */
+    objectAt(clientX, clientY) {
+        const im = this.interactionManager;
+        this.pointer.set((clientX / window.innerWidth) * 2 - 1, -(clientY / window.innerHeight) * 2 + 1);
+        this.raycaster.setFromCamera(this.pointer, im.camera);
+
+        const [nearest] = this.raycaster.intersectObjects(im.interactiveObjects, true);
+        if (!nearest) return null;
+
+        let object = nearest.object;
+        while (object && !im.interactiveObjects.includes(object)) {
+            object = object.parent;
+        }
+        return object && this.isHandle(nearest.object, object) ? object : null;
+    }
+
+    onPointerDown(event) {
+        if (event.button !== 0 || !this.interactionManager.isSceneEvent(event)) return;
+
+        const object = this.objectAt(event.clientX, event.clientY);
+        if (!object) return;
+
+        event.stopPropagation();
+
+        // OrbitControls also listens for touchstart, which stopPropagation can't reach;
+        // disabling it stops a touch drag on the handle from orbiting the camera too
+        const controls = this.interactionManager.controls;
+        const controlsEnabled = controls.enabled;
+        controls.enabled = false;
+
+        this.active = {
+            object,
+            pointerId: event.pointerId,
+            startX: event.clientX,
+            startY: event.clientY,
+            lastX: event.clientX,
+            lastY: event.clientY,
+            dragging: false,
+            controlsEnabled
+        };
+    }
+
+    onPointerMove(event) {
+        const active = this.active;
+        if (!active || event.pointerId !== active.pointerId) return;
+
+        if (!active.dragging) {
+            const distance = Math.hypot(event.clientX - active.startX, event.clientY - active.startY);
+            if (distance < DRAG_THRESHOLD) return;
+
+            active.dragging = true;
+            this.interactionManager.clearHover();
+            document.body.style.cursor = 'grabbing';
+        }
+
+        active.object.userData.onDrag(event.clientX - active.lastX, event.clientY - active.lastY);
+        requestRender();
+        active.lastX = event.clientX;
+        active.lastY = event.clientY;
+    }
+
+    onPointerUp(event) {
+        const active = this.active;
+        if (!active || event.pointerId !== active.pointerId) return;
+
+        if (active.dragging) {
+            this.lastDragEnd = Date.now();
+            document.body.style.cursor = 'grab';
+        }
+        // Re-enable only what this press disabled, unless a zoom took the camera meanwhile
+        if (active.controlsEnabled && !this.interactionManager.isZoomed()) {
+            this.interactionManager.controls.enabled = true;
+        }
+        this.active = null;
+    }
+
+    /**
+     * Check whether a drag is in progress (hover and tooltips pause meanwhile)
+     * @returns {boolean} True while a handle is being dragged
+     */
+    isDragging() {
+        return !!this.active?.dragging;
+    }
+
+    /**
+     * Check whether a click/tap is the tail end of a drag and should be ignored
+     * @returns {boolean} True right after a drag ends
+     */
+    justDragged() {
+        return Date.now() - this.lastDragEnd < CLICK_SUPPRESS_MS;
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * Quality controls
+ * Graphics quality menu (Auto / Low / Medium / High / Ultra) bound to the QualityManager
+ */
+
+import { QUALITY_CONFIG } from '../config/config.js';
+
+export class QualityControls {
+    /**
+     * @param {QualityManager} qualityManager - Applies tiers and runs auto mode
+     */
+    constructor(qualityManager) {
+        this.quality = qualityManager;
+        this.select = document.getElementById('quality-select');
+        if (!this.select) return;
+
+        this.build();
+        this.select.addEventListener('change', () => this.quality.setMode(this.select.value));
+        this.quality.onChange(() => this.update());
+        this.update();
+    }
+
+    build() {
+        const modes = ['auto', ...QUALITY_CONFIG.order];
+        modes.forEach((mode) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            this.select.appendChild(option);
+        });
+    }
+
+    /**
+     * Show the selected mode; Auto also names the tier it has picked
+     */
+    update() {
+        const { mode, tier } = this.quality;
+        const title = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+        Array.from(this.select.options).forEach((option) => {
+            option.textContent = option.value === 'auto' ? `Auto (${title(tier)})` : title(option.value);
+        });
+        this.select.value = mode;
+    }
+}
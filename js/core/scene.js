@@ -5,6 +5,7 @@
 
 import { PORTFOLIO_CONFIG, LIGHTING_CONFIG, OBJECT_ORIGINS } from '../config/config.js';
 import { LightingSystem } from '../systems/lighting.js';
+import { repaintCanvasTextures } from '../systems/utils.js';
 
 export class SceneManager {
     constructor() {
@@ -13,7 +14,10 @@ export class SceneManager {
         this.renderer = null;
         this.controls = null;
         this.composer = null; // Post-processing composer
+        this.renderPass = null;
         this.lightingSystem = null; // Unified lighting management
+        this.contextLost = false;
+        this._listeners = {};
 
         // Use centralized origins from config
         this.origins = OBJECT_ORIGINS.scene;
@@ -36,10 +40,54 @@ export class SceneManager {
         this.createFloor();
 
         window.addEventListener('resize', () => this.onWindowResize());
+        this.watchContext();
 
         return { scene: this.scene, camera: this.camera, renderer: this.renderer, controls: this.controls };
     }
 
+    /**
+     * Subscribe to renderer events
+     * - 'contextlost'     () when the GPU drops the WebGL context (rendering stops)
+     * - 'contextrestored' () after the context is back and GPU resources are rebuilt
+     * @param {string} type - Event name
+     * @param {Function} handler - Called with the event arguments
+     */
+    on(type, handler) {
+        if (!this._listeners[type]) this._listeners[type] = [];
+        this._listeners[type].push(handler);
+    }
+
+    _emit(type, ...args) {
+        (this._listeners[type] || []).forEach(handler => handler(...args));
+    }
+
+    /**
+     * Handle WebGL context loss (GPU reset, driver update, too many contexts):
+     * show an overlay while it's gone and rebuild what three.js can't on restore
+     */
+    watchContext() {
+        const canvas = this.renderer.domElement;
+        this.contextOverlay = document.getElementById('context-lost');
+        this.contextOverlay?.querySelector('button')?.addEventListener('click', () => window.location.reload());
+
+        // preventDefault() tells the browser we intend to restore, otherwise the context stays lost
+        canvas.addEventListener('webglcontextlost', (event) => {
+            event.preventDefault();
+            console.warn('WebGL context lost; rendering paused until it is restored');
+            this.contextLost = true;
+            if (this.contextOverlay) this.contextOverlay.hidden = false;
+            this._emit('contextlost');
+        });
+
+        // three.js re-initialises its own GL state in an earlier listener on the same event
+        canvas.addEventListener('webglcontextrestored', () => {
+            this.restoreGPUResources();
+            this.contextLost = false;
+            if (this.contextOverlay) this.contextOverlay.hidden = true;
+            this._emit('contextrestored');
+        });
+    }
+
     /**
      * Create the Three.js scene
      */
@@ -138,12 +186,8 @@ export class SceneManager {
             return;
         }
 
-        // Create effect composer
-        this.composer = new THREE.EffectComposer(this.renderer);
-
         // Add render pass
-        const renderPass = new THREE.RenderPass(this.scene, this.camera);
-        this.composer.addPass(renderPass);
+        this.renderPass = new THREE.RenderPass(this.scene, this.camera);
 
         // Add bloom pass for glowing emissive surfaces (screens, lamp)
         // Refined settings for more subtle, realistic glow
@@ -153,7 +197,6 @@ export class SceneManager {
             0.5,   // Radius (increased from 0.4 for softer glow)
             0.8    // Threshold (increased from 0.7 - only brightest objects bloom)
         );
-        this.composer.addPass(bloomPass);
 
         // Store bloom pass for potential adjustments
         this.bloomPass = bloomPass;
@@ -185,46 +228,65 @@ export class SceneManager {
             outlinePass.pulsePeriod = 3.0;
             outlinePass.enabled = false;
 
-            // Replace the overlay material.  All uniforms the render() method
-            // writes to must be present or the assignment will throw.
-            outlinePass.overlayMaterial = new THREE.ShaderMaterial({
-                uniforms: {
-                    'maskTexture': { value: null },
-                    'edgeTexture1': { value: null },
-                    'edgeTexture2': { value: null },
-                    'patternTexture': { value: null },
-                    'edgeStrength': { value: 1.0 },
-                    'edgeGlow': { value: 1.0 },
-                    'usePatternTexture': { value: 0.0 }
-                },
-                vertexShader: [
-                    'varying vec2 vUv;',
-                    'void main() {',
-                    '    vUv = uv;',
-                    '    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);',
-                    '}'
-                ].join('\n'),
-                fragmentShader: [
-                    'varying vec2 vUv;',
-                    'uniform sampler2D edgeTexture1;',
-                    'uniform sampler2D edgeTexture2;',
-                    'uniform float edgeStrength;',
-                    'uniform float edgeGlow;',
-                    'void main() {',
-                    '    vec4 edge = texture2D(edgeTexture1, vUv)',
-                    '             + texture2D(edgeTexture2, vUv) * edgeGlow;',
-                    '    gl_FragColor = edgeStrength * edge;',
-                    '}'
-                ].join('\n'),
-                blending: THREE.AdditiveBlending,
-                depthTest: false,
-                depthWrite: false,
-                transparent: true
-            });
-
-            this.composer.addPass(outlinePass);
+            outlinePass.overlayMaterial = this.createOutlineOverlayMaterial();
             this.outlinePass = outlinePass;
         }
+
+        this.createComposer();
+    }
+
+    /**
+     * Create the effect composer and chain the passes (render, bloom, outline).
+     * The passes are kept across calls so their settings and the references
+     * held elsewhere (quality tiers, hint glow) stay valid.
+     */
+    createComposer() {
+        this.composer = new THREE.EffectComposer(this.renderer);
+        [this.renderPass, this.bloomPass, this.outlinePass].forEach((pass) => {
+            if (pass) this.composer.addPass(pass);
+        });
+    }
+
+    /**
+     * Outline overlay without the maskColor.r factor (see setupPostProcessing).
+     * All uniforms OutlinePass.render() writes to must be present or the
+     * assignment will throw.
+     */
+    createOutlineOverlayMaterial() {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                'maskTexture': { value: null },
+                'edgeTexture1': { value: null },
+                'edgeTexture2': { value: null },
+                'patternTexture': { value: null },
+                'edgeStrength': { value: 1.0 },
+                'edgeGlow': { value: 1.0 },
+                'usePatternTexture': { value: 0.0 }
+            },
+            vertexShader: [
+                'varying vec2 vUv;',
+                'void main() {',
+                '    vUv = uv;',
+                '    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);',
+                '}'
+            ].join('\n'),
+            fragmentShader: [
+                'varying vec2 vUv;',
+                'uniform sampler2D edgeTexture1;',
+                'uniform sampler2D edgeTexture2;',
+                'uniform float edgeStrength;',
+                'uniform float edgeGlow;',
+                'void main() {',
+                '    vec4 edge = texture2D(edgeTexture1, vUv)',
+                '             + texture2D(edgeTexture2, vUv) * edgeGlow;',
+                '    gl_FragColor = edgeStrength * edge;',
+                '}'
+            ].join('\n'),
+            blending: THREE.AdditiveBlending,
+            depthTest: false,
+            depthWrite: false,
+            transparent: true
+        });
     }
 
     /**
@@ -295,11 +357,73 @@ export class SceneManager {
         }
     }
 
+    /**
+     * Change the rendering resolution (quality tiers)
+     * @param {number} maxPixelRatio - Upper limit; the device pixel ratio is used if lower
+     */
+    setPixelRatio(maxPixelRatio) {
+        const pixelRatio = Math.min(window.devicePixelRatio, maxPixelRatio);
+        this.renderer.setPixelRatio(pixelRatio);
+        if (this.composer?.setPixelRatio) {
+            this.composer.setPixelRatio(pixelRatio);
+        }
+        this.onWindowResize();
+    }
+
+    /**
+     * Rebuild GPU-side resources after the WebGL context is restored.
+     * Geometry and image textures re-upload on their own; anything that was
+     * rendered on the GPU (environment map, post-processing targets, shadow
+     * maps) is regenerated, and canvas textures are repainted.
+     */
+    restoreGPUResources() {
+        this.lightingSystem.createEnvironmentMap();
+
+        if (this.composer) {
+            this.composer.renderTarget1.dispose();
+            this.composer.renderTarget2.dispose();
+            this.createComposer();
+        }
+        if (this.outlinePass) {
+            this.outlinePass.overlayMaterial.dispose();
+            this.outlinePass.overlayMaterial = this.createOutlineOverlayMaterial();
+        }
+
+        this.scene.traverse((object) => {
+            if (object.isLight && object.shadow?.map) {
+                object.shadow.map.dispose();
+                object.shadow.map = null;
+            }
+
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach((material) => {
+                if (!material) return;
+                Object.values(material).forEach((value) => {
+                    if (!value?.isTexture) return;
+
+                    // Canvas textures are redrawn below; render target textures have no source to upload
+                    if (!value.userData.repaint && (value.image instanceof HTMLElement || value.image?.data)) {
+                        value.needsUpdate = true;
+                    }
+                });
+            });
+        });
+
+        // A GPU reset can clear accelerated 2D canvases too. Every canvas texture is made by
+        // createCanvasTexture, so this redraws them all with their current state (monitor
+        // scroll position, clock time)
+        repaintCanvasTextures();
+
+        // Sizes the new composer and reallocates the passes' render targets
+        this.onWindowResize();
+    }
+
     /**
      * Render the scene with post-processing if available
      */
     render() {
         this.controls.update();
+        if (this.contextLost) return;
 
         // Use composer for post-processing effects, fallback to standard render
         if (this.composer) {
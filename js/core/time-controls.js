@@ -0,0 +1,107 @@
+/**
+ * Time-of-day controls
+ * Slider for scrubbing the day/night cycle, a "Now" button to return to
+ * the real clock, and the ?time= URL parameter for fixed-time screenshots
+ */
+
+import { TIME_CONFIG } from '../config/config.js';
+import { requestRender } from '../systems/render-scheduler.js';
+
+// How often the slider catches up with the real clock while following it (ms)
+const REAL_TIME_REFRESH_MS = 30000;
+
+export class TimeControls {
+    /**
+     * @param {LightingSystem} lightingSystem - Owns the day/night cycle and its override
+     */
+    constructor(lightingSystem) {
+        this.lighting = lightingSystem;
+        this.slider = document.getElementById('time-slider');
+        this.label = document.getElementById('time-label');
+        this.nowButton = document.getElementById('time-now');
+        this.refreshTimer = null;
+
+        if (!this.lighting || !this.slider) return;
+
+        // 24:00 wraps to 00:00, so the track stops one step short of it
+        this.slider.step = TIME_CONFIG.sliderStep;
+        this.slider.max = 24 - TIME_CONFIG.sliderStep;
+        this.addKeyframeTicks();
+        this.applyUrlParam();
+        this.bindEvents();
+        this.start();
+    }
+
+    /**
+     * Keep the readout in step with the real clock (syncs immediately)
+     */
+    start() {
+        if (!this.slider || this.refreshTimer) return;
+        this.updateUI();
+        this.refreshTimer = setInterval(() => {
+            if (this.lighting.isFollowingRealTime()) this.updateUI();
+        }, REAL_TIME_REFRESH_MS);
+    }
+
+    stop() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Mark each day/night keyframe on the slider track
+     */
+    addKeyframeTicks() {
+        const list = document.getElementById('time-keyframes');
+        if (!list) return;
+
+        this.lighting.dayNightKeyframes.forEach(({ hour }) => {
+            if (hour >= 24) return; // Midnight loop frame, same as 0
+            const option = document.createElement('option');
+            option.value = hour;
+            list.appendChild(option);
+        });
+    }
+
+    /**
+     * Start at the hour given in the URL, e.g. ?time=19.5
+     */
+    applyUrlParam() {
+        const value = new URLSearchParams(window.location.search).get(TIME_CONFIG.urlParam);
+        if (value === null) return;
+
+        const hour = Number(value);
+        if (value.trim() === '' || !Number.isFinite(hour) || hour < 0 || hour > 24) {
+            console.warn(`Ignoring ?${TIME_CONFIG.urlParam}=${value} (expected an hour from 0 to 24)`);
+            return;
+        }
+        this.lighting.setTimeOfDay(hour);
+    }
+
+    bindEvents() {
+        this.slider.addEventListener('input', () => {
+            this.lighting.setTimeOfDay(parseFloat(this.slider.value));
+            this.updateUI();
+            requestRender();
+        });
+
+        this.nowButton?.addEventListener('click', () => {
+            this.lighting.followRealTime();
+            this.updateUI();
+            requestRender();
+        });
+    }
+
+    /**
+     * Sync the slider, readout and "Now" button with the lighting state
+     */
+    updateUI() {
+        const following = this.lighting.isFollowingRealTime();
+        const time = this.lighting.getTimeOfDayDate().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        this.slider.value = this.lighting.getTimeOfDay();
+        this.slider.setAttribute('aria-valuetext', following ? `${time}, current time` : time);
+        if (this.label) this.label.textContent = time;
+        if (this.nowButton) this.nowButton.disabled = following;
+    }
+}
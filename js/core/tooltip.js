@@ -0,0 +1,48 @@
+/**
+ * Hover tooltip
+ * Small DOM label that follows the pointer over interactive objects
+ */
+
+// Distance between the pointer and the tooltip corner (px)
+const POINTER_OFFSET = 16;
+
+export class Tooltip {
+    constructor() {
+        this.element = document.getElementById('tooltip');
+        this.isVisible = false;
+    }
+
+    /**
+     * Show the tooltip next to the pointer
+     * @param {string} text - Label to display
+     * @param {number} x - Pointer clientX
+     * @param {number} y - Pointer clientY
+     */
+    show(text, x, y) {
+        if (!this.element || !text) return;
+
+        if (this.element.textContent !== text) {
+            this.element.textContent = text;
+        }
+        this.element.classList.add('visible');
+        this.isVisible = true;
+
+        // Keep the tooltip on screen by flipping it to the other side of the pointer near edges
+        const width = this.element.offsetWidth;
+        const height = this.element.offsetHeight;
+        const left = x + POINTER_OFFSET + width > window.innerWidth ? x - POINTER_OFFSET - width : x + POINTER_OFFSET;
+        const top = y + POINTER_OFFSET + height > window.innerHeight ? y - POINTER_OFFSET - height : y + POINTER_OFFSET;
+
+        this.element.style.transform = `translate(${Math.round(left)}px, ${Math.round(top)}px)`;
+    }
+
+    /**
+     * Hide the tooltip
+     */
+    hide() {
+        if (!this.element || !this.isVisible) return;
+
+        this.element.classList.remove('visible');
+        this.isVisible = false;
+    }
+}
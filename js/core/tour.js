@@ -0,0 +1,172 @@
+/**
+ * Guided tour
+ * Walks the camera through the interactive objects in TOUR_CONFIG order,
+ * with previous/next/exit controls and optional autoplay on a GSAP timeline
+ */
+
+import { TOUR_CONFIG } from '../config/config.js';
+
+export class GuidedTour {
+    /**
+     * @param {InteractionManager} interactionManager - Performs the zooms and reports resets
+     */
+    constructor(interactionManager) {
+        this.interactionManager = interactionManager;
+        this.stops = TOUR_CONFIG.order
+            .map(name => interactionManager.findObjectByName(name))
+            .filter(Boolean);
+
+        this.index = 0;
+        this.active = false;
+        this.timeline = null; // Built on first play
+
+        this.startButton = document.getElementById('tour-btn');
+        this.controls = document.getElementById('tour-controls');
+        this.progress = document.getElementById('tour-progress');
+        this.playButton = this.controls?.querySelector('[data-tour="play"]');
+
+        this.bindEvents();
+    }
+
+    /**
+     * Wire the UI buttons and follow zoom/reset changes made outside the tour
+     */
+    bindEvents() {
+        this.startButton?.addEventListener('click', () => this.start());
+
+        this.controls?.addEventListener('click', (event) => {
+            const action = event.target.closest('[data-tour]')?.dataset.tour;
+            if (action === 'prev') this.previous();
+            else if (action === 'next') this.next();
+            else if (action === 'play') this.togglePlay();
+            else if (action === 'exit') this.exit();
+        });
+
+        // Clicking another stop keeps the tour in step with what's on screen
+        this.interactionManager.on('zoom', (object) => {
+            const index = this.stops.indexOf(object);
+            if (this.active && index !== -1 && index !== this.index) {
+                this.index = index;
+                this.timeline?.seek(`step${index}`);
+                this.updateControls();
+            }
+        });
+
+        // Closing the panel (X, Escape, empty-space click, Back) ends the tour
+        this.interactionManager.on('reset', () => {
+            if (this.active) this.exit({ resetCamera: false });
+        });
+    }
+
+    /**
+     * Begin the tour at the first stop
+     */
+    start() {
+        if (this.stops.length === 0) return;
+
+        this.active = true;
+        this.startButton?.setAttribute('hidden', '');
+        this.controls?.removeAttribute('hidden');
+
+        this.goTo(0);
+        if (TOUR_CONFIG.autoplay) this.play();
+    }
+
+    /**
+     * Zoom to a stop by index
+     * @param {number} index - Position in the tour order (wraps around)
+     */
+    goTo(index) {
+        this.index = (index + this.stops.length) % this.stops.length;
+        this.interactionManager.clearFocus();
+        this.interactionManager.zoomToObject(this.stops[this.index]);
+        this.updateControls();
+    }
+
+    next() {
+        this.goTo(this.index + 1);
+        this.timeline?.seek(`step${this.index}`);
+    }
+
+    previous() {
+        this.goTo(this.index - 1);
+        this.timeline?.seek(`step${this.index}`);
+    }
+
+    /**
+     * Autoplay from the current stop
+     */
+    play() {
+        if (!this.timeline) this.timeline = this.buildTimeline();
+
+        // Seeking skips the current stop's callback; it is already on screen
+        this.timeline.play(`step${this.index}`);
+        this.updateControls();
+    }
+
+    pause() {
+        this.timeline?.pause();
+        this.updateControls();
+    }
+
+    togglePlay() {
+        if (this.isPlaying()) this.pause();
+        else this.play();
+    }
+
+    isPlaying() {
+        return !!this.timeline && !this.timeline.paused() && this.timeline.isActive();
+    }
+
+    /**
+     * One labelled step per stop, dwell seconds apart, ending the tour after the last
+     * @returns {gsap.core.Timeline} Paused timeline
+     */
+    buildTimeline() {
+        const timeline = gsap.timeline({ paused: true });
+
+        this.stops.forEach((stop, i) => {
+            const position = i * TOUR_CONFIG.dwell;
+            timeline.addLabel(`step${i}`, position);
+            timeline.call(() => this.goTo(i), null, position);
+        });
+        timeline.call(() => this.exit(), null, this.stops.length * TOUR_CONFIG.dwell);
+
+        return timeline;
+    }
+
+    /**
+     * Leave the tour and restore the overview
+     * @param {Object} options
+     * @param {boolean} options.resetCamera - Zoom out (false when the camera is already resetting)
+     */
+    exit({ resetCamera = true } = {}) {
+        if (!this.active) return;
+
+        this.active = false;
+        if (this.timeline) {
+            this.timeline.kill();
+            this.timeline = null;
+        }
+
+        this.controls?.setAttribute('hidden', '');
+        this.startButton?.removeAttribute('hidden');
+
+        if (resetCamera) this.interactionManager.resetCamera();
+    }
+
+    /**
+     * Show the current stop and play/pause state
+     */
+    updateControls() {
+        const stop = this.stops[this.index];
+        if (this.progress && stop) {
+            this.progress.textContent = `${this.index + 1} / ${this.stops.length} · ${stop.userData.label || stop.userData.name}`;
+        }
+        if (this.playButton) {
+            const playing = this.isPlaying();
+            this.playButton.textContent = playing ? 'Pause' : 'Play';
+            this.playButton.setAttribute('aria-label', playing ? 'Pause tour' : 'Play tour');
+        }
+    }
+}
@@ -3,24 +3,28 @@
  * Handles coffee mugs, desk lamps, notebooks, and other items that sit on the desk
  */
 
-import { applyOrigin } from '../systems/utils.js';
-import { SHADOW_CONFIG, OBJECT_ORIGINS } from '../config/config.js';
+import { applyOrigin, createCanvasTexture } from '../systems/utils.js';
+import { requestRender } from '../systems/render-scheduler.js';
+import { SHADOW_CONFIG, LAMP_CONFIG } from '../config/config.js';
+
+// localStorage key remembering whether the desk lamp is switched on
+const LAMP_STORAGE_KEY = 'portfolio-lamp-on';
+
+// Glare slot driven by the desk lamp (see LightingSystem.createGlareMaterial)
+const LAMP_GLARE_SLOT = 1;
 
 export class DeskObjectFactory {
-    constructor(scene) {
+    constructor(scene, lightingSystem = null) {
         this.scene = scene;
+        this.lightingSystem = lightingSystem;
         this.interactiveObjects = [];
-
-        // Use centralized origins from config
-        this.origins = OBJECT_ORIGINS.desk;
     }
 
     /**
      * Create notebook for desk
      */
-    createNotebook() {
+    createNotebook(origin) {
         const group = new THREE.Group();
-        const origin = this.origins.notebook;
 
         const offsets = {
             cover:   { x: 0,    y: -0.17, z: 0 },
@@ -39,79 +43,75 @@ export class DeskObjectFactory {
         cover.receiveShadow = true;
         group.add(cover);
 
-        // Create canvas for handwritten text
-        const canvas = document.createElement('canvas');
-        canvas.width = 512;
-        canvas.height = 700; // Approx aspect ratio of 0.54/0.74
-        const ctx = canvas.getContext('2d');
-
-        // Paper background
-        ctx.fillStyle = '#f8f4e8';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-        // Blue lines
-        ctx.strokeStyle = '#aaccff';
-        ctx.lineWidth = 2;
-        const lineHeight = 50;
-        const topMargin = 80;
+        // Handwritten page (approx aspect ratio of 0.54/0.74)
+        const { texture: pageTexture } = createCanvasTexture(512, 700, (ctx, size) => {
+            // Paper background
+            ctx.fillStyle = '#f8f4e8';
+            ctx.fillRect(0, 0, size.width, size.height);
+
+            // Blue lines
+            ctx.strokeStyle = '#aaccff';
+            ctx.lineWidth = 2;
+            const lineHeight = 50;
+            const topMargin = 80;
         
-        for (let y = topMargin; y < canvas.height; y += lineHeight) {
+            for (let y = topMargin; y < size.height; y += lineHeight) {
+                ctx.beginPath();
+                ctx.moveTo(0, y);
+                ctx.lineTo(size.width, y);
+                ctx.stroke();
+            }
+
+            // Red margin line
+            ctx.strokeStyle = '#ffcccc';
+            ctx.lineWidth = 2;
             ctx.beginPath();
-            ctx.moveTo(0, y);
-            ctx.lineTo(canvas.width, y);
+            ctx.moveTo(70, 0);
+            ctx.lineTo(70, size.height);
             ctx.stroke();
-        }
 
-        // Red margin line
-        ctx.strokeStyle = '#ffcccc';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(70, 0);
-        ctx.lineTo(70, canvas.height);
-        ctx.stroke();
-
-        // Handwritten text
-        ctx.font = 'bold 28px "Segoe Print", "Ink Free", "Bradley Hand", "Comic Sans MS", cursive';
-        ctx.fillStyle = '#1a1a4a'; // Dark blue ink
-        ctx.textBaseline = 'bottom';
-
-        const textLines = [
-            "Personal Projects:",
-            "",
-            "SweetHopeBakeryy - Bakery site for sister: written in PHP and then migrated to JS",
-            "",
-            "Tidbyt - Unique clock app for physical 'Tidbyt' pixel display, in custom language",
-            "",
-            "Variety - Contributed to OSS Linux wallpaper manager",
-        ];
-
-        let currentY = topMargin + lineHeight; 
-        const textX = 85;
-        const maxWidth = 380;
-
-        textLines.forEach(text => {
-            const words = text.split(' ');
-            let line = '';
+            // Handwritten text
+            ctx.font = 'bold 28px "Segoe Print", "Ink Free", "Bradley Hand", "Comic Sans MS", cursive';
+            ctx.fillStyle = '#1a1a4a'; // Dark blue ink
+            ctx.textBaseline = 'bottom';
+
+            const textLines = [
+                "Personal Projects:",
+                "",
+                "SweetHopeBakeryy - Bakery site for sister: written in PHP and then migrated to JS",
+                "",
+                "Tidbyt - Unique clock app for physical 'Tidbyt' pixel display, in custom language",
+                "",
+                "Variety - Contributed to OSS Linux wallpaper manager",
+            ];
+
+            let currentY = topMargin + lineHeight; 
+            const textX = 85;
+            const maxWidth = 380;
+
+            textLines.forEach(text => {
+                const words = text.split(' ');
+                let line = '';
             
-            for (let n = 0; n < words.length; n++) {
-                const testLine = line + words[n] + ' ';
-                const metrics = ctx.measureText(testLine);
-                const testWidth = metrics.width;
-                if (testWidth > maxWidth && n > 0) {
-                    ctx.fillText(line, textX, currentY - 10);
-                    line = words[n] + ' ';
-                    currentY += lineHeight;
-                } else {
-                    line = testLine;
+                for (let n = 0; n < words.length; n++) {
+                    const testLine = line + words[n] + ' ';
+                    const metrics = ctx.measureText(testLine);
+                    const testWidth = metrics.width;
+                    if (testWidth > maxWidth && n > 0) {
+                        ctx.fillText(line, textX, currentY - 10);
+                        line = words[n] + ' ';
+                        currentY += lineHeight;
+                    } else {
+                        line = testLine;
+                    }
                 }
-            }
-            ctx.fillText(line, textX, currentY - 10);
-            currentY += lineHeight;
+                ctx.fillText(line, textX, currentY - 10);
+                currentY += lineHeight;
+            });
         });
-
-        const pageTexture = new THREE.CanvasTexture(canvas);
-        if (pageTexture.colorSpace !== undefined) pageTexture.colorSpace = THREE.SRGBColorSpace;
-        else if (THREE.sRGBEncoding !== undefined) pageTexture.encoding = THREE.sRGBEncoding;
+        if (pageTexture.colorSpace === undefined && THREE.sRGBEncoding !== undefined) {
+            pageTexture.encoding = THREE.sRGBEncoding;
+        }
 
         for (let i = 0; i < 8; i++) {
             const pageGeometry = new THREE.BoxGeometry(0.81, 0.006, 1.11);
@@ -174,9 +174,8 @@ export class DeskObjectFactory {
         return group;
     }
 
-    createCoffeeMug() {
+    createCoffeeMug(origin) {
         const group = new THREE.Group();
-        const origin = this.origins.coffee;
 
         const cupHeight = 0.8;
         const cupTopRadius = 0.2;
@@ -303,43 +302,65 @@ export class DeskObjectFactory {
             return steam;
         };
 
-        // Add initial steam particles
-        for (let i = 0; i < 6; i++) {
+        // Add initial steam particles (the quality tier can change the count later)
+        let steamCount = 6;
+        for (let i = 0; i < steamCount; i++) {
             const steam = createSteamWisp();
             group.add(steam);
         }
 
         // Store steam animation function
-        const animateSteamFunc = function() {
+        // Velocities and lifetimes are tuned per 60 fps frame; delta keeps the speed when frames are capped
+        const animateSteamFunc = function(delta = 1 / 60) {
+            const step = delta * 60;
             const steamParticles = this.children.filter(child => child.userData.isSteam);
 
+            // Top up one wisp per frame after the count is raised
+            if (steamParticles.length < steamCount) {
+                this.add(createSteamWisp());
+            }
+
             steamParticles.forEach((steam) => {
-                steam.position.y += steam.userData.velocity.y;
-                steam.position.x += steam.userData.velocity.x;
-                steam.position.z += steam.userData.velocity.z;
+                steam.position.y += steam.userData.velocity.y * step;
+                steam.position.x += steam.userData.velocity.x * step;
+                steam.position.z += steam.userData.velocity.z * step;
 
-                steam.userData.lifetime--;
+                steam.userData.lifetime -= step;
                 if (steam.userData.lifetime < 25) {
-                    steam.material.opacity = steam.userData.lifetime / 25 * 0.25;
+                    steam.material.opacity = Math.max(0, steam.userData.lifetime) / 25 * 0.25;
                 }
 
                 if (steam.userData.lifetime <= 0) {
                     this.remove(steam);
-                    const newSteam = createSteamWisp();
-                    this.add(newSteam);
+                    steam.geometry.dispose();
+                    steam.material.dispose();
+
+                    // Expired wisps are not replaced while above the count
+                    if (this.children.filter(child => child.userData.isSteam).length < steamCount) {
+                        this.add(createSteamWisp());
+                    }
                 }
             });
         };
 
+        // Wisps above a lowered count fade out naturally instead of vanishing
+        const setSteamCount = (count) => {
+            steamCount = count;
+        };
+
         applyOrigin(group, origin);
-        group.userData = { name: 'coffee', label: 'Starbucks - What Drives Me', animateSteam: animateSteamFunc };
+        group.userData = { name: 'coffee', label: 'Starbucks - What Drives Me', animateSteam: animateSteamFunc, setSteamCount };
         this.interactiveObjects.push(group);
         return group;
     }
 
-    createDeskLamp() {
+    /**
+     * Create the desk lamp, its lights and the switch on its base
+     * @param {Object} origin - Placement from the lamp's scene manifest entry
+     * @param {Object} sceneOrigins - Every manifest origin by object type (the lamp aims at the notebook)
+     */
+    createDeskLamp(origin, sceneOrigins = {}) {
         const group = new THREE.Group();
-        const origin = this.origins.lamp;
 
         // Shared materials
         const metalMaterial = new THREE.MeshStandardMaterial({
@@ -378,10 +399,8 @@ export class DeskObjectFactory {
         joint.castShadow = true;
         group.add(joint);
 
-        // Angled neck extending toward the notebook
+        // Angled neck extending toward the notebook (angles set by createLampNeck, adjustable by dragging the head)
         const neckLength = 0.6;
-        const neckAngleX = Math.PI / 4;  // 45° tilt forward (toward +z / notebook)
-        const neckAngleZ = -Math.PI / 12; // slight tilt left (toward notebook x)
 
         const neckGroup = new THREE.Group();
         const neckGeometry = new THREE.CylinderGeometry(0.025, 0.03, neckLength, 12);
@@ -391,16 +410,9 @@ export class DeskObjectFactory {
         neckGroup.add(neck);
 
         neckGroup.position.set(0, jointY, 0);
-        neckGroup.rotation.x = neckAngleX;
-        neckGroup.rotation.z = neckAngleZ;
         group.add(neckGroup);
 
-        // Calculate where the neck ends (for shade placement)
-        const neckEndY = jointY + Math.cos(neckAngleX) * neckLength;
-        const neckEndZ = Math.sin(neckAngleX) * neckLength;
-        const neckEndX = -Math.sin(neckAngleZ) * Math.cos(neckAngleX) * neckLength;
-
-        // Lamp head assembly positioned at neck end
+        // Lamp head assembly, placed at the neck end by createLampNeck
         const headGroup = new THREE.Group();
 
         // Conical shade - wider at bottom where light exits
@@ -461,25 +473,24 @@ export class DeskObjectFactory {
         glow.position.set(0, bulbY, 0);
         headGroup.add(glow);
 
-        // Position head at end of neck, shade opening faces forward and down toward desk
-        headGroup.position.set(neckEndX, neckEndY, neckEndZ);
+        // Shade opening faces forward and down toward desk
         headGroup.rotation.x = - Math.PI / 6;  // opening faces forward (+Z) and tilts down
-        headGroup.rotation.z = neckAngleZ;
         group.add(headGroup);
 
         // Main SpotLight aimed at the notebook for focused illumination
         // Warm color temperature (2700K-ish) for realistic incandescent light
-        // Target the center of the notebook page (offset from origin to account for page center)
+        // Target the center of the notebook page (offset from origin to account for page center).
+        // Without a notebook in the manifest, aim at the desk in front of the lamp.
+        const notebook = sceneOrigins.notebook || { x: origin.x - 0.8, y: origin.y, z: origin.z + 1.5 };
         const notebookRelative = {
-            x: this.origins.notebook.x - origin.x + 0.5,  // Offset toward page center X
-            y: this.origins.notebook.y - origin.y,
-            z: this.origins.notebook.z - origin.z // Offset toward page center Z
+            x: notebook.x - origin.x + 0.5,  // Offset toward page center X
+            y: notebook.y - origin.y,
+            z: notebook.z - origin.z // Offset toward page center Z
         };
 
         // SpotLight aimed at the notebook - warm incandescent color
         // Wider angle (PI/2.5 ~72°) with softer penumbra to cover entire notebook page
         const spotLight = new THREE.SpotLight(0xffddaa, 0.8, 6, Math.PI / 2.5, 0.6, 2); // decay: 2 for physical falloff
-        spotLight.position.set(neckEndX, neckEndY - 0.05, neckEndZ);
         spotLight.target.position.set(notebookRelative.x, notebookRelative.y, notebookRelative.z);
         spotLight.castShadow = true;
         spotLight.shadow.mapSize.width = SHADOW_CONFIG.lamp.mapSize;
@@ -495,7 +506,6 @@ export class DeskObjectFactory {
         // Point light for warm ambient glow around the lamp - steep decay
         // Increased distance for better ambient light spread
         const warmFillLight = new THREE.PointLight(0xffcc88, 0.6, 1.5, 2);
-        warmFillLight.position.set(neckEndX, neckEndY, neckEndZ);
         group.add(warmFillLight);
 
         // Switch on the base
@@ -511,11 +521,158 @@ export class DeskObjectFactory {
         group.add(lampSwitch);
 
         applyOrigin(group, origin, true); // Static object
-        group.userData = { name: 'lamp', label: 'Desk Lamp - Resume', deskLampLight: spotLight, warmFillLight: warmFillLight };
+        lampSwitch.matrixAutoUpdate = true; // Switch animates when pressed
+
+        const neckControl = this.createLampNeck({ group, neckGroup, headGroup, jointY, neckLength, spotLight, warmFillLight });
+        const toggle = this.createLampToggle({ spotLight, warmFillLight, bulbMaterial, glowMaterial, lampSwitch });
+
+        // The switch is clicked on its own; the rest of the lamp zooms to its content
+        lampSwitch.userData = {
+            name: 'lampSwitch',
+            label: 'Desk Lamp Switch',
+            toggle: toggle.toggle,
+            isOn: toggle.isOn
+        };
+
+        group.userData = {
+            name: 'lamp',
+            label: 'Desk Lamp - Resume',
+            deskLampLight: spotLight,
+            warmFillLight: warmFillLight,
+            dragHandle: headGroup,
+            onDrag: neckControl.drag,
+            interactiveChildren: [group, lampSwitch]
+        };
         this.interactiveObjects.push(group);
         return group;
     }
 
+    /**
+     * Adjustable neck for the desk lamp.
+     * Moves the neck, head, spotlight, fill light and glare slot together; the
+     * spotlight target shifts with the head so the light pool follows the lamp.
+     * The lamp is a static object, so every moved part refreshes its matrix by hand.
+     * @returns {{setAngles: Function, drag: Function}} drag(dx, dy) takes a pointer delta in pixels
+     */
+    createLampNeck({ group, neckGroup, headGroup, jointY, neckLength, spotLight, warmFillLight }) {
+        const limits = LAMP_CONFIG.neck;
+        const angles = { x: limits.angleX, z: limits.angleZ };
+
+        // Where the neck ends for a given pair of angles (lamp-local)
+        const neckEnd = (angleX, angleZ) => new THREE.Vector3(
+            -Math.sin(angleZ) * Math.cos(angleX) * neckLength,
+            jointY + Math.cos(angleX) * neckLength,
+            Math.sin(angleX) * neckLength
+        );
+
+        // The authored target is for the initial pose; keep the same offset from the head
+        const targetOffset = spotLight.target.position.clone().sub(neckEnd(angles.x, angles.z));
+        const glarePosition = new THREE.Vector3();
+
+        const setAngles = (angleX, angleZ) => {
+            angles.x = THREE.MathUtils.clamp(angleX, limits.minAngleX, limits.maxAngleX);
+            angles.z = THREE.MathUtils.clamp(angleZ, limits.minAngleZ, limits.maxAngleZ);
+            const end = neckEnd(angles.x, angles.z);
+
+            neckGroup.rotation.set(angles.x, 0, angles.z);
+            headGroup.position.copy(end);
+            headGroup.rotation.z = angles.z;
+            spotLight.position.set(end.x, end.y - 0.05, end.z);
+            spotLight.target.position.copy(end).add(targetOffset);
+            warmFillLight.position.copy(end);
+
+            // Shadow camera follows spotLight/target world matrices on the next render
+            [neckGroup, headGroup, spotLight, spotLight.target, warmFillLight].forEach(part => part.updateMatrix());
+
+            glarePosition.copy(spotLight.position).applyMatrix4(group.matrix);
+            this.lightingSystem?.setGlareLightPosition(LAMP_GLARE_SLOT, glarePosition);
+        };
+
+        // Dragging right swings the head toward +x, dragging down pulls it toward the viewer
+        const drag = (dx, dy) => {
+            setAngles(
+                angles.x + dy * LAMP_CONFIG.dragSensitivity,
+                angles.z - dx * LAMP_CONFIG.dragSensitivity
+            );
+        };
+
+        setAngles(angles.x, angles.z);
+        return { setAngles, drag };
+    }
+
+    /**
+     * On/off behaviour for the desk lamp.
+     * Everything the lamp lights fades together through one 0-1 level:
+     * spotlight, fill light, bulb emissive, glow and the lamp's glare slot.
+     * The state is remembered across reloads.
+     * @returns {{toggle: Function, isOn: Function}} toggle() flips the lamp and returns the new state
+     */
+    createLampToggle({ spotLight, warmFillLight, bulbMaterial, glowMaterial, lampSwitch }) {
+        // "On" values as authored in createDeskLamp
+        const full = {
+            spot: spotLight.intensity,
+            fill: warmFillLight.intensity,
+            emissive: bulbMaterial.emissiveIntensity,
+            glow: glowMaterial.opacity,
+            glare: this.lightingSystem?.glareLightIntensities[LAMP_GLARE_SLOT] ?? 0
+        };
+        const switchRestY = lampSwitch.position.y;
+
+        const state = { level: 1 };
+        const apply = () => {
+            spotLight.intensity = full.spot * state.level;
+            warmFillLight.intensity = full.fill * state.level;
+            bulbMaterial.emissiveIntensity = full.emissive * state.level;
+            glowMaterial.opacity = full.glow * state.level;
+            this.lightingSystem?.setGlareLightIntensity(LAMP_GLARE_SLOT, full.glare * state.level);
+        };
+
+        let on = true;
+        try {
+            on = localStorage.getItem(LAMP_STORAGE_KEY) !== '0';
+        } catch {
+            // Storage unavailable - start switched on
+        }
+        if (!on) {
+            state.level = 0;
+            apply();
+        }
+
+        const toggle = () => {
+            on = !on;
+
+            // Press the switch down and let it spring back
+            gsap.fromTo(lampSwitch.position, { y: switchRestY }, {
+                y: switchRestY - 0.012,
+                duration: 0.08,
+                yoyo: true,
+                repeat: 1,
+                ease: 'power1.inOut'
+            });
+
+            // Incandescent bulbs come up a touch slower than they go out
+            gsap.to(state, {
+                level: on ? 1 : 0,
+                duration: on ? 0.5 : 0.3,
+                ease: on ? 'power2.out' : 'power2.in',
+                overwrite: true,
+                onUpdate: () => {
+                    apply();
+                    requestRender();
+                }
+            });
+
+            try {
+                localStorage.setItem(LAMP_STORAGE_KEY, on ? '1' : '0');
+            } catch {
+                // Storage unavailable - state lasts this visit only
+            }
+            return on;
+        };
+
+        return { toggle, isOn: () => on };
+    }
+
     getInteractiveObjects() {
         return this.interactiveObjects;
     }
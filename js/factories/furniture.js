@@ -5,7 +5,6 @@
  */
 
 import { createSolidTexture, applyOrigin } from '../systems/utils.js';
-import { OBJECT_ORIGINS } from '../config/config.js';
 
 // Texture configuration for each material type
 const TEXTURE_CONFIG = {
@@ -27,9 +26,6 @@ export class FurnitureFactory {
     constructor(scene) {
         this.scene = scene;
 
-        // Use centralized origins from config
-        this.origins = OBJECT_ORIGINS.furniture;
-
         this._textureCache = new Map();
         this._loadingPromises = new Map();
 
@@ -125,7 +121,7 @@ export class FurnitureFactory {
         return material;
     }
 
-    createDesk() {
+    createDesk(origin) {
         const group = new THREE.Group();
         const legOffsets = [
             { x: -3.2, y: -0.625, z: -1.2 },
@@ -163,11 +159,11 @@ export class FurnitureFactory {
             group.add(leg);
         });
 
-        applyOrigin(group, this.origins.desk, true); // Static object
+        applyOrigin(group, origin, true); // Static object
         return group;
     }
 
-    createWall() {
+    createWall(origin) {
         const group = new THREE.Group();
 
         const wall = new THREE.Mesh(
@@ -187,11 +183,11 @@ export class FurnitureFactory {
         baseboard.castShadow = true;
         group.add(baseboard);
 
-        applyOrigin(group, this.origins.wall, true); // Static object
+        applyOrigin(group, origin, true); // Static object
         return group;
     }
 
-    createWallShelf() {
+    createWallShelf(origin) {
         const group = new THREE.Group();
         const shelfMaterial = this._createTexturedMaterial('wood', 0.7, 0.05);
         const bracketMaterial = new THREE.MeshStandardMaterial({ color: 0x2a2a2a, roughness: 0.3, metalness: 0.8 });
@@ -237,7 +233,7 @@ export class FurnitureFactory {
         centerBracket.castShadow = true;
         group.add(centerBracket);
 
-        applyOrigin(group, this.origins.wallShelf, true); // Static object
+        applyOrigin(group, origin, true); // Static object
         return group;
     }
 }
\ No newline at end of file
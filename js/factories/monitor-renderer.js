@@ -1,333 +1,415 @@
 /**
  * Monitor canvas rendering
- * Handles creation and updating of the scrollable monitor content
+ * Lays out the structured MONITOR_DOCUMENT and renders the scrollable monitor content
  * Separated from interactions for clear separation of concerns
  */
 
+import { MONITOR_DOCUMENT } from '../config/content.js';
+import { createCanvasTexture } from '../systems/utils.js';
+
+// Texture size (power of two) and the logical page size drawn into it
+const CANVAS_SIZE = { width: 1024, height: 512 };
+const LOGICAL_SIZE = { width: 1280, height: 560 };
+
+// Page margins and text column width in logical pixels
+const MARGIN = { left: 80, top: 80, bottom: 60 };
+const COLUMN_WIDTH = 1120;
+
+// Gap kept above the first line of a page when paging down
+const PAGE_TOP_GAP = 40;
+
+// Typography per block type
+// lineHeight is baseline-to-baseline, spaceBefore is added above the block
+const BLOCK_STYLES = {
+    title:      { font: 'bold 80px Arial', color: '#333333', lineHeight: 60, spaceBefore: 0 },
+    subtitle:   { font: '40px Arial', color: '#444444', lineHeight: 50, spaceBefore: 0 },
+    heading:    { font: 'bold 60px Arial', color: '#333333', lineHeight: 50, spaceBefore: 70 },
+    subheading: { font: 'bold 38px Arial', color: '#333333', lineHeight: 45, spaceBefore: 15 },
+    paragraph:  { font: '32px Arial', color: '#444444', lineHeight: 40, spaceBefore: 10 },
+    list:       { font: '32px Arial', color: '#333333', lineHeight: 44, spaceBefore: 10, indent: 40 },
+    keyValue:   { font: '32px Arial', color: '#444444', keyFont: 'bold 32px Arial', keyColor: '#333333', lineHeight: 44, spaceBefore: 10 },
+    link:       { font: '32px Arial', color: '#1a5fb4', labelColor: '#333333', lineHeight: 44, spaceBefore: 10 }
+};
+
 /**
  * MonitorRenderer handles all canvas-based rendering for the monitor screen
  */
 export class MonitorRenderer {
-    constructor() {
+    constructor(monitorDocument = MONITOR_DOCUMENT) {
+        this.monitorDocument = monitorDocument;
         this.canvas = null;
         this.ctx = null;
+        this.texture = null;
+        this.scrollOffset = 0;
+
+        // Layout results (computed lazily on first render)
+        this.lines = null;
+        this.contentHeight = 0;
+        this.pageOffsets = [0];
+        this.links = []; // Hit rectangles for drawn links, in content coordinates
     }
 
     /**
-     * Create canvas for monitor with scrollable content
-     * @param {number} scrollOffset - Current scroll position
-     * @returns {HTMLCanvasElement} The rendered canvas
+     * Get the shared monitor texture, creating it with a blank background if needed.
+     * It is a quality-scaled canvas texture, so tier changes and context
+     * restores redraw it at the current scroll position.
+     * @returns {THREE.CanvasTexture} The monitor texture
      */
-    createMonitorCanvas(scrollOffset) {
-        const canvas = document.createElement('canvas');
-        canvas.width = 1024;
-        canvas.height = 512;
-        const ctx = canvas.getContext('2d');
+    getTexture() {
+        if (!this.texture) {
+            ({ canvas: this.canvas, ctx: this.ctx, texture: this.texture } =
+                createCanvasTexture(CANVAS_SIZE.width, CANVAS_SIZE.height, ctx => this._paint(ctx)));
+        }
+        return this.texture;
+    }
 
-        // Draw white background
-        ctx.fillStyle = '#f5f5f5';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    /**
+     * Render the document at a scroll position into the shared texture
+     * @param {number} scrollOffset - Current scroll position in logical pixels
+     * @returns {THREE.CanvasTexture} The updated texture
+     */
+    render(scrollOffset) {
+        const texture = this.getTexture();
+        if (!this.lines) this.layout();
+
+        this.scrollOffset = scrollOffset;
+        texture.userData.repaint();
+        return texture;
+    }
+
+    /**
+     * Draw the page at the current scroll offset (background only until laid out)
+     * @param {CanvasRenderingContext2D} ctx - Context in CANVAS_SIZE pixels
+     */
+    _paint(ctx) {
+        this._renderBackground(ctx);
+        if (!this.lines) return;
 
         // Scale to fit 1280x560 content into 1024x512 (Standard Power of Two texture)
-        ctx.scale(1024/1280, 512/560);
+        ctx.scale(CANVAS_SIZE.width / LOGICAL_SIZE.width, CANVAS_SIZE.height / LOGICAL_SIZE.height);
 
         // Save context and translate for scrolling
         ctx.save();
-        ctx.translate(0, -scrollOffset);
+        ctx.translate(0, -this.scrollOffset);
 
-        this._renderContent(ctx);
+        this._renderContent(ctx, this.scrollOffset);
 
         ctx.restore();
 
         // Add simple scrollbar indicator
-        this._renderScrollbar(ctx, scrollOffset);
-
-        return canvas;
+        this._renderScrollbar(ctx, this.scrollOffset);
     }
 
     /**
-     * Render main content sections
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * Measure, wrap and position every block of the document.
+     * Produces positioned lines, the total content height and page offsets.
      */
-    _renderContent(ctx) {
-        // Header (h1 style)
-        ctx.fillStyle = '#333333';
-        ctx.font = 'bold 80px Arial';
-        ctx.textAlign = 'left';
-        ctx.fillText('Rob Keys', 80, 80);
-
-        // Subtitle (p style)
-        ctx.font = '40px Arial';
-        ctx.fillStyle = '#444444';
-        ctx.fillText('Software Development Engineer @ Amazon Web Services', 80, 140);
-
-        // About This Site section
-        let currentY = 240;
-        currentY = this._renderAboutSiteSection(ctx, currentY);
-
-        // About section
-        currentY += 80;
-        currentY = this._renderAboutMeSection(ctx, currentY);
-
-        // Education section
-        currentY += 80;
-        currentY = this._renderEducationSection(ctx, currentY);
+    layout() {
+        this.getTexture();
+        const ctx = this.ctx;
+        const lines = [];
+        let cursorY = MARGIN.top;
+
+        this.monitorDocument.forEach((block, index) => {
+            const style = BLOCK_STYLES[block.type];
+            if (!style) {
+                console.warn(`MonitorRenderer: unknown block type "${block.type}"`);
+                return;
+            }
 
-        // Skills section
-        currentY += 60;
-        currentY = this._renderSkillsSection(ctx, currentY);
+            if (index > 0) cursorY += style.spaceBefore;
+
+            this._blockItems(block, style).forEach(({ runs, indent = 0, bullet = false }) => {
+                const wrapped = this._wrapRuns(ctx, runs, COLUMN_WIDTH - indent);
+
+                wrapped.forEach((segments, lineIndex) => {
+                    const fontSize = Math.max(...segments.map(segment => this._fontSize(segment.font)));
+                    lines.push({
+                        x: MARGIN.left + indent,
+                        y: cursorY,
+                        top: cursorY - fontSize * 0.8,
+                        bottom: cursorY + fontSize * 0.25,
+                        bullet: bullet && lineIndex === 0,
+                        color: style.color,
+                        segments
+                    });
+                    cursorY += style.lineHeight;
+                });
+            });
+        });
 
-        // Experience section
-        currentY += 60;
-        currentY = this._renderExperienceSection(ctx, currentY);
+        this.lines = lines;
+        this.contentHeight = cursorY + MARGIN.bottom;
+        this.links = this._collectLinks(lines);
 
-        // What Drives Me section
-        currentY += 60;
-        currentY = this._renderMotivationSection(ctx, currentY);
+        // Pages near the end can't scroll past the bottom of the content
+        const maxScroll = this.getMaxScroll();
+        this.pageOffsets = [...new Set(this._paginate(lines).map(offset => Math.min(offset, maxScroll)))];
+    }
 
-        // Contact section
-        currentY += 60;
-        this._renderContactSection(ctx, currentY);
+    /**
+     * Get the total height of the laid-out document
+     * @returns {number} Content height in logical pixels
+     */
+    getContentHeight() {
+        if (!this.lines) this.layout();
+        return this.contentHeight;
     }
 
     /**
-     * Render "About This Site" section
+     * Get the furthest the content can scroll before its bottom reaches the screen bottom
+     * @returns {number} Maximum scroll offset in logical pixels (0 if everything fits)
      */
-    _renderAboutSiteSection(ctx, startY) {
-        let currentY = startY;
-
-        ctx.font = 'bold 60px Arial';
-        ctx.fillStyle = '#333333';
-        ctx.fillText('About This Site', 80, currentY);
-
-        currentY += 50;
-        ctx.font = '32px Arial';
-        ctx.fillStyle = '#444444';
-        currentY = this._wrapText(ctx, 'This interactive 3D portfolio features a scrollable main monitor (use your mouse wheel!) and various interactive objects on the desk.', 80, currentY, 1120, 40);
-
-        currentY += 50;
-        ctx.fillStyle = '#333333';
-        ctx.fillText('Clickable objects include:', 80, currentY);
-
-        currentY += 50;
-        const clickables = [
-            'Monitor (Overview)',
-            'Laptop (Projects)',
-            'Notebook (Current Projects)',
-            'Diploma (Education)'
-        ];
-
-        clickables.forEach(item => {
-            ctx.beginPath();
-            ctx.arc(100, currentY - 10, 6, 0, Math.PI * 2);
-            ctx.fillStyle = '#333333';
-            ctx.fill();
-            ctx.fillText(item, 120, currentY);
-            currentY += 50;
-        });
+    getMaxScroll() {
+        return Math.max(0, this.getContentHeight() - LOGICAL_SIZE.height);
+    }
 
-        return currentY;
+    /**
+     * Clamp a scroll offset to the scrollable range of the content
+     * @param {number} scrollOffset - Requested scroll position
+     * @returns {number} Scroll position within [0, getMaxScroll()]
+     */
+    clampScroll(scrollOffset) {
+        return Math.max(0, Math.min(scrollOffset, this.getMaxScroll()));
     }
 
     /**
-     * Render "About Me" section
+     * Get the scroll offset of the page after the current position
+     * @param {number} scrollOffset - Current scroll position
+     * @returns {number} Offset of the next page (or the last page)
      */
-    _renderAboutMeSection(ctx, startY) {
-        let currentY = startY;
+    getNextPageOffset(scrollOffset) {
+        if (!this.lines) this.layout();
+        const next = this.pageOffsets.find(offset => offset > scrollOffset + 1);
+        return next ?? this.pageOffsets[this.pageOffsets.length - 1];
+    }
 
-        ctx.font = 'bold 60px Arial';
-        ctx.fillStyle = '#333333';
-        ctx.fillText('About Me', 80, currentY);
+    /**
+     * Get the scroll offset of the page before the current position
+     * @param {number} scrollOffset - Current scroll position
+     * @returns {number} Offset of the previous page (or the first page)
+     */
+    getPreviousPageOffset(scrollOffset) {
+        if (!this.lines) this.layout();
+        const previous = this.pageOffsets.filter(offset => offset < scrollOffset - 1);
+        return previous.length > 0 ? previous[previous.length - 1] : 0;
+    }
 
-        currentY += 50;
-        ctx.fillStyle = '#444444';
-        ctx.font = '32px Arial';
-        currentY = this._wrapText(ctx, 'Hi! I\'m a Software Development Engineer at Amazon Web Services with a passion for building scalable, impactful systems. I graduated from UVA with a B.S. in Computer Science, maintaining a 4.0 GPA while completing my degree in just three years.', 80, currentY, 1120, 40);
+    /**
+     * Map a UV coordinate on the screen face to a point in the scrolled document
+     * @param {THREE.Vector2} uv - Texture coordinate from a raycast hit (v = 1 at the top)
+     * @param {number} scrollOffset - Current scroll position
+     * @returns {{x: number, y: number}} Point in logical content coordinates
+     */
+    uvToContentPoint(uv, scrollOffset) {
+        // UV -> texture pixels (canvas textures are flipped, so v runs bottom to top)
+        const canvasX = uv.x * CANVAS_SIZE.width;
+        const canvasY = (1 - uv.y) * CANVAS_SIZE.height;
+
+        // Texture pixels -> logical 1280x560 page, then into the scrolled document
+        return {
+            x: canvasX * (LOGICAL_SIZE.width / CANVAS_SIZE.width),
+            y: canvasY * (LOGICAL_SIZE.height / CANVAS_SIZE.height) + scrollOffset
+        };
+    }
 
-        return currentY;
+    /**
+     * Find the link drawn at a point in the document
+     * @param {{x: number, y: number}} point - Point in logical content coordinates
+     * @returns {Object|null} Link hit rectangle with its href, or null
+     */
+    getLinkAt(point) {
+        if (!this.lines) this.layout();
+        return this.links.find(link =>
+            point.x >= link.x && point.x <= link.x + link.width &&
+            point.y >= link.y && point.y <= link.y + link.height
+        ) || null;
     }
 
     /**
-     * Render "Education" section
+     * Build hit rectangles for every link segment in the layout
+     * @param {Object[]} lines - Positioned lines from layout()
+     * @returns {Object[]} Rectangles { href, x, y, width, height }
      */
-    _renderEducationSection(ctx, startY) {
-        let currentY = startY;
-
-        ctx.font = 'bold 60px Arial';
-        ctx.fillStyle = '#333333';
-        ctx.fillText('Education', 80, currentY);
-
-        currentY += 60;
-        ctx.font = 'bold 40px Arial';
-        ctx.fillText('University of Virginia', 80, currentY);
-
-        currentY += 50;
-        ctx.font = '32px Arial';
-        ctx.fillText('B.S. Computer Science', 80, currentY);
-
-        currentY += 40;
-        const eduDetails = [
-            'GPA: 4.0',
-            'Graduated in 3 years',
-            'NCAE-Certified Cybersecurity Focal Path'
-        ];
-
-        eduDetails.forEach(item => {
-            ctx.beginPath();
-            ctx.arc(100, currentY - 10, 6, 0, Math.PI * 2);
-            ctx.fillStyle = '#333333';
-            ctx.fill();
-            ctx.fillText(item, 120, currentY);
-            currentY += 40;
+    _collectLinks(lines) {
+        const links = [];
+        lines.forEach(line => {
+            line.segments.forEach(segment => {
+                if (!segment.href) return;
+                links.push({
+                    href: segment.href,
+                    x: line.x + segment.x,
+                    y: line.top,
+                    width: segment.width,
+                    height: line.bottom - line.top
+                });
+            });
         });
+        return links;
+    }
 
-        return currentY;
+    /**
+     * Convert a block into wrappable items (one per paragraph, list item or row)
+     * Each item is a list of styled text runs
+     */
+    _blockItems(block, style) {
+        switch (block.type) {
+            case 'list':
+                return block.items.map(item => ({
+                    runs: [{ text: item, font: style.font, color: style.color }],
+                    indent: style.indent,
+                    bullet: true
+                }));
+            case 'keyValue':
+                return block.rows.map(row => ({
+                    runs: [
+                        { text: `${row.key}: `, font: style.keyFont, color: style.keyColor },
+                        { text: row.value, font: style.font, color: style.color }
+                    ]
+                }));
+            case 'link': {
+                const runs = [];
+                if (block.label) {
+                    runs.push({ text: `${block.label}: `, font: style.font, color: style.labelColor });
+                }
+                runs.push({ text: block.text, font: style.font, color: style.color, href: block.href });
+                return [{ runs }];
+            }
+            default:
+                return [{ runs: [{ text: block.text, font: style.font, color: style.color }] }];
+        }
     }
 
     /**
-     * Render "Skills & Expertise" section
+     * Word-wrap styled runs into lines of positioned segments
+     * @param {CanvasRenderingContext2D} ctx - Canvas context used for measuring
+     * @param {Object[]} runs - Text runs with font, color and optional href
+     * @param {number} maxWidth - Maximum line width
+     * @returns {Object[][]} Lines, each an array of { text, x, width, font, color, href }
      */
-    _renderSkillsSection(ctx, startY) {
-        let currentY = startY;
-
-        ctx.font = 'bold 60px Arial';
-        ctx.fillStyle = '#333333';
-        ctx.fillText('Skills & Expertise', 80, currentY);
-
-        const skills = [
-            { title: 'Cloud Architecture', description: 'Design and implementation of scalable systems using AWS services and consensus algorithms like Raft' },
-            { title: 'Data Structures & Algorithms', description: 'Strong foundation in computational problem-solving with experience in optimization and complexity analysis' },
-            { title: 'Cybersecurity', description: 'NCAE-certified focal path with hands-on experience building privacy protection systems' }
-        ];
-
-        skills.forEach(skill => {
-            currentY += 60;
-            ctx.font = 'bold 36px Arial';
-            ctx.fillStyle = '#333333';
-            ctx.fillText(skill.title, 80, currentY);
-            currentY += 40;
-            ctx.font = '32px Arial';
-            ctx.fillStyle = '#444444';
-            currentY = this._wrapText(ctx, skill.description, 80, currentY, 1120, 40);
+    _wrapRuns(ctx, runs, maxWidth) {
+        const lines = [];
+        let segments = [];
+        let lineWidth = 0;
+
+        runs.forEach(run => {
+            ctx.font = run.font;
+            const words = run.text.split(' ');
+
+            words.forEach((word, i) => {
+                const token = i < words.length - 1 ? word + ' ' : word;
+                if (!token) return;
+
+                const width = ctx.measureText(token).width;
+                if (lineWidth + width > maxWidth && lineWidth > 0) {
+                    lines.push(segments);
+                    segments = [];
+                    lineWidth = 0;
+                }
+
+                // Extend the previous segment when the run continues on the same line
+                const last = segments[segments.length - 1];
+                if (last && last.run === run) {
+                    last.text += token;
+                    last.width += width;
+                } else {
+                    segments.push({ run, text: token, x: lineWidth, width, font: run.font, color: run.color, href: run.href });
+                }
+                lineWidth += width;
+            });
         });
 
-        return currentY;
+        if (segments.length > 0) lines.push(segments);
+        return lines;
     }
 
     /**
-     * Render "Professional Experience" section
+     * Split laid-out lines into screen-sized pages without cutting a line in half
+     * @param {Object[]} lines - Positioned lines from layout()
+     * @returns {number[]} Scroll offset where each page starts
      */
-    _renderExperienceSection(ctx, startY) {
-        let currentY = startY;
-
-        ctx.font = 'bold 60px Arial';
-        ctx.fillStyle = '#333333';
-        ctx.fillText('Professional Experience', 80, currentY);
-
-        currentY += 60;
-        ctx.font = 'bold 40px Arial';
-        ctx.fillText('Amazon Web Services', 80, currentY);
-
-        currentY += 50;
-        ctx.font = '32px Arial';
-        ctx.fillStyle = '#444444';
-        ctx.fillText('Software Development Engineer | 2026 - Present', 80, currentY);
-        currentY += 50;
-        currentY = this._wrapText(ctx, 'Building scalable cloud infrastructure and services that power businesses worldwide.', 80, currentY, 1120, 40);
+    _paginate(lines) {
+        const offsets = [0];
+        let pageEnd = LOGICAL_SIZE.height;
+
+        lines.forEach(line => {
+            if (line.bottom > pageEnd) {
+                const start = Math.max(0, line.top - PAGE_TOP_GAP);
+                offsets.push(start);
+                pageEnd = start + LOGICAL_SIZE.height;
+            }
+        });
 
-        return currentY;
+        return offsets;
     }
 
     /**
-     * Render "What Drives Me" section
+     * Extract the pixel size from a CSS font string
      */
-    _renderMotivationSection(ctx, startY) {
-        let currentY = startY;
-
-        ctx.font = 'bold 60px Arial';
-        ctx.fillStyle = '#333333';
-        ctx.fillText('What Drives Me', 80, currentY);
-
-        const motivations = [
-            { title: 'Creating Meaningful Impact', description: 'Technology has the power to improve lives. I want to build software that solves real problems and makes a tangible difference.' },
-            { title: 'Solving Complex Challenges', description: 'I\'m drawn to problems that require deep thinking and creative solutions. Each project teaches me something new.' },
-            { title: 'Innovation & Learning', description: 'I\'m constantly exploring new technologies and methodologies to stay at the forefront of software engineering.' }
-        ];
-
-        motivations.forEach(item => {
-            currentY += 60;
-            ctx.font = 'bold 36px Arial';
-            ctx.fillStyle = '#333333';
-            ctx.fillText(item.title, 80, currentY);
-            currentY += 40;
-            ctx.font = '32px Arial';
-            ctx.fillStyle = '#444444';
-            currentY = this._wrapText(ctx, item.description, 80, currentY, 1120, 40);
-        });
+    _fontSize(font) {
+        const match = /(\d+)px/.exec(font);
+        return match ? Number(match[1]) : 32;
+    }
 
-        return currentY;
+    /**
+     * Fill the canvas with the page background
+     */
+    _renderBackground(ctx) {
+        ctx.fillStyle = '#f5f5f5';
+        ctx.fillRect(0, 0, CANVAS_SIZE.width, CANVAS_SIZE.height);
     }
 
     /**
-     * Render "Get In Touch" section
+     * Draw the laid-out lines that intersect the visible window
+     * @param {CanvasRenderingContext2D} ctx - Canvas context (already scrolled)
+     * @param {number} scrollOffset - Current scroll position
      */
-    _renderContactSection(ctx, startY) {
-        let currentY = startY;
+    _renderContent(ctx, scrollOffset) {
+        const viewTop = scrollOffset;
+        const viewBottom = scrollOffset + LOGICAL_SIZE.height;
 
-        ctx.font = 'bold 60px Arial';
-        ctx.fillStyle = '#333333';
-        ctx.fillText('Get In Touch', 80, currentY);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+
+        this.lines.forEach(line => {
+            if (line.bottom < viewTop || line.top > viewBottom) return;
 
-        currentY += 60;
-        ctx.font = '32px Arial';
-        ctx.fillText('Email: rob_keys@outlook.com', 80, currentY);
+            if (line.bullet) {
+                ctx.beginPath();
+                ctx.arc(line.x - 20, line.y - 10, 6, 0, Math.PI * 2);
+                ctx.fillStyle = line.color;
+                ctx.fill();
+            }
 
-        return currentY;
+            line.segments.forEach(segment => {
+                const x = line.x + segment.x;
+                ctx.font = segment.font;
+                ctx.fillStyle = segment.color;
+                ctx.fillText(segment.text, x, line.y);
+
+                // Underline links
+                if (segment.href) {
+                    const underlineWidth = ctx.measureText(segment.text.trimEnd()).width;
+                    ctx.fillRect(x, line.y + 5, underlineWidth, 2);
+                }
+            });
+        });
     }
 
     /**
-     * Render scrollbar indicator
+     * Render scrollbar indicator sized and positioned from the content height
      */
     _renderScrollbar(ctx, scrollOffset) {
-        const logicalWidth = 1280;
-        const logicalHeight = 560;
-        const scrollBarHeight = 50;
-        const maxScroll = 2000;
+        const logicalWidth = LOGICAL_SIZE.width;
+        const logicalHeight = LOGICAL_SIZE.height;
+        const maxScroll = this.getMaxScroll();
+        if (maxScroll === 0) return; // Everything fits, nothing to indicate
+
+        // Thumb size shows the visible fraction of the document, position shows progress
+        const scrollBarHeight = Math.max(30, logicalHeight * (logicalHeight / this.contentHeight));
         const scrollBarY = (scrollOffset / maxScroll) * (logicalHeight - scrollBarHeight);
 
         ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
         ctx.fillRect(logicalWidth - 10, scrollBarY, 8, scrollBarHeight);
     }
-
-    /**
-     * Helper to wrap text within a maximum width
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {string} text - Text to wrap
-     * @param {number} x - Starting x position
-     * @param {number} y - Starting y position
-     * @param {number} maxWidth - Maximum line width
-     * @param {number} lineHeight - Height between lines
-     * @returns {number} Final y position after text
-     */
-    _wrapText(ctx, text, x, y, maxWidth, lineHeight) {
-        const words = text.split(' ');
-        let line = '';
-        let currentY = y;
-
-        for (let i = 0; i < words.length; i++) {
-            const testLine = line + words[i] + ' ';
-            const metrics = ctx.measureText(testLine);
-            const testWidth = metrics.width;
-
-            if (testWidth > maxWidth && i > 0) {
-                ctx.fillText(line, x, currentY);
-                line = words[i] + ' ';
-                currentY += lineHeight;
-            } else {
-                line = testLine;
-            }
-        }
-        ctx.fillText(line, x, currentY);
-        return currentY + lineHeight;
-    }
 }
@@ -8,6 +8,8 @@ import { TechnologyFactory } from './technology.js';
 import { ShelfObjectFactory } from './shelf-objects.js';
 import { DeskObjectFactory } from './desk-objects.js';
 import { WallObjectFactory } from './wall-objects.js';
+import { loadSceneManifest, DEFAULT_MANIFEST_URL } from './scene-manifest.js';
+import { OBJECT_REGISTRY } from '../config/config.js';
 
 export class ObjectFactory {
     constructor(scene, lightingSystem = null) {
@@ -20,51 +22,80 @@ export class ObjectFactory {
             furniture: new FurnitureFactory(scene),
             technology: new TechnologyFactory(scene, lightingSystem),
             shelf: new ShelfObjectFactory(scene),
-            desk: new DeskObjectFactory(scene),
+            desk: new DeskObjectFactory(scene, lightingSystem),
             wall: new WallObjectFactory(scene)
         };
     }
 
     /**
-     * Add object to scene and optionally register as interactive.
+     * Add object to scene and apply its manifest bindings.
+     * Stores the content and zoom keys in userData and registers
+     * the object as interactive when the manifest says so.
+     * Groups with userData.interactiveChildren register those parts instead,
+     * each bound through its OBJECT_REGISTRY entry (falling back to the group's).
+     * A part named after the group stands for the whole group and takes the
+     * manifest entry's bindings (the vinyl wall's backing board, or the lamp
+     * group itself next to its separately bound switch).
      * @param {THREE.Object3D} object - The object to add
-     * @param {boolean} interactive - Whether object is interactive
+     * @param {Object} entry - Validated manifest entry
      */
-    addToScene(object, interactive = false) {
+    addToScene(object, entry) {
         this.scene.add(object);
-        if (interactive) {
-            this.interactiveObjects.push(object);
+
+        const children = object.userData.interactiveChildren;
+        if (!children) {
+            object.userData.content = entry.content;
+            object.userData.zoom = entry.zoom;
+            object.userData.action = entry.action;
+            if (entry.interactive) this.interactiveObjects.push(object);
+            return;
         }
+
+        children.forEach(child => {
+            const binding = child.userData.name === entry.type
+                ? entry
+                : OBJECT_REGISTRY[child.userData.name] || {};
+            child.userData.content = binding.content ?? null;
+            child.userData.zoom = binding.zoom || entry.zoom;
+            child.userData.action = binding.action || 'zoom';
+            if (child.userData.action === 'toggle' && typeof child.userData.toggle !== 'function') {
+                throw new Error(`"${child.userData.name}" has action "toggle" but provides no userData.toggle`);
+            }
+            if (entry.interactive && binding.interactive !== false) {
+                this.interactiveObjects.push(child);
+            }
+        });
     }
 
-    async createAllObjects() {
-        const { furniture, technology, shelf, desk, wall } = this.factories;
+    /**
+     * Build the scene described by a manifest (see js/config/scene-manifest.json)
+     * @param {string|URL} manifestUrl - Manifest to load
+     * @returns {Promise<THREE.Group[]>} Interactive objects
+     */
+    async createAllObjects(manifestUrl = DEFAULT_MANIFEST_URL) {
+        const entries = await loadSceneManifest(manifestUrl, this.factories);
+
+        // Some factories place parts relative to other objects (the lamp aims at the notebook)
+        const sceneOrigins = Object.fromEntries(entries.map(({ type, origin }) => [type, origin]));
 
-        // Create all objects - interactive: true means clickable for zoom/info panel
-        const objects = [
-            // Furniture (non-interactive)
-            { obj: furniture.createWall(), interactive: false },
-            { obj: furniture.createDesk(), interactive: false },
-            { obj: furniture.createWallShelf(), interactive: false },
-            // Wall objects
-            { obj: wall.createWallDiploma(), interactive: true },
-            { obj: wall.createVinylRecord(), interactive: false },
-            // Shelf objects
-            { obj: shelf.createShelfPlant(), interactive: false },
-            { obj: shelf.createShelfBooks(), interactive: false },
-            // Technology
-            { obj: technology.createMonitor(), interactive: true },
-            { obj: technology.createKeyboard(), interactive: false },
-            { obj: technology.createMouse(), interactive: false },
-            { obj: technology.createLaptop(), interactive: true },
-            { obj: technology.createDigitalClock(), interactive: false },
-            // Desk objects - coffee/lamp have animations but aren't clickable
-            { obj: desk.createCoffeeMug(), interactive: false },
-            { obj: desk.createNotebook(), interactive: true },
-            { obj: desk.createDeskLamp(), interactive: false }
-        ];
+        entries.forEach((entry) => {
+            const factory = this.factories[entry.factory];
+            const object = factory[entry.method](entry.origin, sceneOrigins);
+            if (!object.userData.name) {
+                object.userData.name = entry.type;
+            } else if (object.userData.name !== entry.type) {
+                throw new Error(`Scene manifest: ${entry.factory}.${entry.method} creates "${object.userData.name}", not "${entry.type}"`);
+            }
+            if (entry.action === 'toggle' && typeof object.userData.toggle !== 'function') {
+                throw new Error(`Scene manifest: "${entry.type}" has action "toggle" but ${entry.factory}.${entry.method} provides no userData.toggle`);
+            }
+            // Only groups whose parts carry their own bindings can do without content
+            if (entry.interactive && entry.content === null && !object.userData.interactiveChildren) {
+                throw new Error(`Scene manifest: interactive object "${entry.type}" needs a "content" key`);
+            }
 
-        objects.forEach(({ obj, interactive }) => this.addToScene(obj, interactive));
+            this.addToScene(object, entry);
+        });
 
         return this.interactiveObjects;
     }
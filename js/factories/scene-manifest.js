@@ -0,0 +1,145 @@
+/**
+ * Scene manifest loading and validation
+ * The manifest (js/config/scene-manifest.json) lists every object in the scene:
+ * which factory builds it, where it sits, and how it behaves when clicked
+ */
+
+import { ZOOM_CONFIG } from '../config/config.js';
+import { CONTENT_DATA } from '../config/content.js';
+
+export const DEFAULT_MANIFEST_URL = new URL('../config/scene-manifest.json', import.meta.url);
+
+const ORIGIN_KEYS = ['x', 'y', 'z', 'rotationX', 'rotationY', 'rotationZ'];
+const ACTIONS = ['zoom', 'toggle'];
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Fetch and validate a scene manifest
+ * @param {string|URL} url - Manifest location
+ * @param {Object} factories - Factory instances by group name (ObjectFactory.factories)
+ * @returns {Promise<Object[]>} Normalized object entries
+ */
+export async function loadSceneManifest(url, factories) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Scene manifest ${url} could not be loaded (HTTP ${response.status})`);
+    }
+
+    let manifest;
+    try {
+        manifest = await response.json();
+    } catch (error) {
+        throw new Error(`Scene manifest ${url} is not valid JSON: ${error.message}`);
+    }
+
+    return validateSceneManifest(manifest, factories);
+}
+
+/**
+ * Check a manifest and fill in defaults for omitted fields.
+ * All problems are collected and reported together in one error.
+ * @param {Object} manifest - Parsed manifest ({ objects: [...] })
+ * @param {Object} factories - Factory instances by group name
+ * @returns {Object[]} Entries as { type, factory, method, origin, interactive, content, zoom, action },
+ *                     with origin rotations converted from degrees to radians
+ */
+export function validateSceneManifest(manifest, factories) {
+    if (!manifest || !Array.isArray(manifest.objects)) {
+        throw new Error('Scene manifest must be an object with an "objects" array');
+    }
+
+    const errors = [];
+    const seenTypes = new Set();
+    const entries = manifest.objects.map((item, index) => {
+        const where = `objects[${index}]${item?.type ? ` (${item.type})` : ''}`;
+        const fail = (message) => errors.push(`${where}: ${message}`);
+
+        if (!item || typeof item.type !== 'string' || !item.type) {
+            fail('"type" must be a non-empty string');
+            return null;
+        }
+        // Types double as object names (deep links, findObjectByName), so each appears once
+        if (seenTypes.has(item.type)) {
+            fail(`duplicate type "${item.type}" (each object type can appear only once)`);
+        }
+        seenTypes.add(item.type);
+
+        // "group.createSomething" - only factory create methods can be referenced
+        const [group, method, extra] = String(item.factory).split('.');
+        const factory = factories[group];
+        if (extra !== undefined || !factory || !/^create[A-Z]/.test(method || '') || typeof factory[method] !== 'function') {
+            fail(`unknown factory "${item.factory}" (expected one of: ${listFactoryMethods(factories).join(', ')})`);
+        }
+
+        const origin = normalizeOrigin(item.origin, fail);
+
+        const interactive = item.interactive ?? false;
+        const content = item.content ?? null;
+        const zoom = item.zoom ?? 'default';
+        const action = item.action ?? 'zoom';
+
+        if (typeof interactive !== 'boolean') {
+            fail('"interactive" must be true or false');
+        }
+        if (content !== null && !Object.hasOwn(CONTENT_DATA, content)) {
+            fail(`unknown content key "${content}" (not in CONTENT_DATA)`);
+        }
+        if (!Object.hasOwn(ZOOM_CONFIG, zoom)) {
+            fail(`unknown zoom preset "${zoom}" (expected one of: ${Object.keys(ZOOM_CONFIG).join(', ')})`);
+        }
+
+        if (!ACTIONS.includes(action)) {
+            fail(`unknown action "${action}" (expected one of: ${ACTIONS.join(', ')})`);
+        }
+
+        return { type: item.type, factory: group, method, origin, interactive, content, zoom, action };
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid scene manifest:\n  ${errors.join('\n  ')}`);
+    }
+    return entries;
+}
+
+/**
+ * Convert a manifest origin (rotations in degrees) to applyOrigin's format
+ * @returns {Object|null} Origin in radians, or null if it is missing or malformed
+ */
+function normalizeOrigin(origin, fail) {
+    if (origin === undefined) {
+        fail('"origin" is required');
+        return null;
+    }
+    if (!origin || typeof origin !== 'object') {
+        fail('"origin" must be an object');
+        return null;
+    }
+
+    const normalized = {};
+    for (const key of Object.keys(origin)) {
+        if (!ORIGIN_KEYS.includes(key)) {
+            fail(`unknown origin field "${key}" (expected ${ORIGIN_KEYS.join(', ')})`);
+        } else if (!Number.isFinite(origin[key])) {
+            fail(`origin.${key} must be a number`);
+        }
+    }
+    for (const key of ['x', 'y', 'z']) {
+        if (!(key in origin)) fail(`origin.${key} is required`);
+        normalized[key] = origin[key];
+    }
+    for (const key of ['rotationX', 'rotationY', 'rotationZ']) {
+        normalized[key] = (origin[key] || 0) * DEG_TO_RAD;
+    }
+    return normalized;
+}
+
+/**
+ * All "group.createX" names the manifest may reference (for error messages)
+ */
+function listFactoryMethods(factories) {
+    return Object.entries(factories).flatMap(([group, factory]) =>
+        Object.getOwnPropertyNames(Object.getPrototypeOf(factory))
+            .filter(name => /^create[A-Z]/.test(name) && typeof factory[name] === 'function')
+            .map(name => `${group}.${name}`)
+    );
+}
@@ -3,60 +3,105 @@
  * Handles books, plants, and other items that sit on shelves
  */
 
-import { applyOrigin } from '../systems/utils.js';
-import { OBJECT_ORIGINS } from '../config/config.js';
+import { applyOrigin, createCanvasTexture } from '../systems/utils.js';
 
 export class ShelfObjectFactory {
     constructor(scene) {
         this.scene = scene;
         this.interactiveObjects = [];
-
-        // Use centralized origins from config
-        this.origins = OBJECT_ORIGINS.shelf;
     }
 
     /**
-     * Create simple books - solid color rectangles for performance
+     * Create simple books - solid color boxes with a titled spine.
+     * Books with a name are separate interactive targets (userData.interactiveChildren)
+     * that slide out of the shelf while selected.
      */
-    createShelfBooks() {
+    createShelfBooks(origin) {
         const group = new THREE.Group();
-        const origin = this.origins.books;
 
-        // Simple book data: color, width, offsetX
+        // Book data: color, width, offsetX, spine title, and name/label for clickable books
         const books = [
-            { color: 0x8B0000, width: 0.06, offsetX: -0.9 },
-            { color: 0x1e3a8a, width: 0.07, offsetX: -0.82 },
-            { color: 0x1a472a, width: 0.05, offsetX: -0.73 }
+            { name: 'book1', label: 'Red Book - Resume & Transcript', title: 'RESUME', color: 0x8B0000, width: 0.06, offsetX: -0.9 },
+            { name: 'book2', label: 'Blue Book - Contact Info', title: 'CONTACT', color: 0x1e3a8a, width: 0.07, offsetX: -0.82 },
+            { title: 'ALGORITHMS', color: 0x1a472a, width: 0.05, offsetX: -0.73 }
         ];
 
         const bookHeight = 0.35;
         const bookDepth = 0.25;
+        const restZ = 0.15;
+        const pullOut = 0.12; // How far a selected book slides toward the viewer
 
-        // Pre-create materials (reusable pattern - each book has different color so separate materials needed)
-        const materials = books.map(data => new THREE.MeshStandardMaterial({
-            color: data.color,
-            roughness: 0.7
-        }));
+        const interactiveBooks = [];
 
         books.forEach((data, index) => {
+            // Plain covers, titled spine on the +Z face (the side facing the room)
+            const cover = new THREE.MeshStandardMaterial({ color: data.color, roughness: 0.7 });
+            const spine = new THREE.MeshStandardMaterial({
+                map: this.createSpineTexture(data.title, data.color),
+                roughness: 0.7
+            });
+
             const geometry = new THREE.BoxGeometry(data.width, bookHeight, bookDepth);
-            const book = new THREE.Mesh(geometry, materials[index]);
-            book.position.set(data.offsetX, bookHeight / 2 + 0.08, 0.15);
+            const book = new THREE.Mesh(geometry, [cover, cover, cover, cover, spine, cover]);
+            book.position.set(data.offsetX, bookHeight / 2 + 0.08, restZ);
             book.rotation.z = (index - 1) * 0.03;
             book.castShadow = true;
             book.receiveShadow = true;
             group.add(book);
+
+            if (data.name) {
+                book.userData = {
+                    name: data.name,
+                    label: data.label,
+                    onSelect: () => gsap.to(book.position, { z: restZ + pullOut, duration: 0.6, ease: 'power2.out' }),
+                    onDeselect: () => gsap.to(book.position, { z: restZ, duration: 0.5, ease: 'power2.inOut' })
+                };
+                interactiveBooks.push(book);
+            }
         });
 
         applyOrigin(group, origin, true); // Static object
-        group.userData = { name: 'books', label: 'Books - Knowledge Base' };
-        this.interactiveObjects.push(group);
+
+        // Clickable books animate, so they keep updating their own matrices
+        interactiveBooks.forEach(book => { book.matrixAutoUpdate = true; });
+
+        group.userData = { name: 'books', label: 'Books - Knowledge Base', interactiveChildren: interactiveBooks };
+        this.interactiveObjects.push(...interactiveBooks);
         return group;
     }
 
-    createShelfPlant() {
+    /**
+     * Render a book title running up the spine
+     * @param {string} title - Spine text
+     * @param {number} color - Book color (spine background)
+     * @returns {THREE.CanvasTexture} Spine texture
+     */
+    createSpineTexture(title, color) {
+        const { texture } = createCanvasTexture(64, 320, (ctx, size) => {
+            ctx.fillStyle = `#${new THREE.Color(color).getHexString()}`;
+            ctx.fillRect(0, 0, size.width, size.height);
+
+            // Gold bands near the top and bottom of the spine
+            ctx.fillStyle = '#d4af37';
+            ctx.fillRect(0, 18, size.width, 4);
+            ctx.fillRect(0, size.height - 22, size.width, 4);
+
+            // Title reads bottom-to-top, as on most English spines
+            ctx.save();
+            ctx.translate(size.width / 2, size.height / 2);
+            ctx.rotate(-Math.PI / 2);
+            ctx.font = 'bold 30px Georgia';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(title, 0, 0, size.height - 60);
+            ctx.restore();
+        });
+        texture.anisotropy = 4;
+        return texture;
+    }
+
+    createShelfPlant(origin) {
         const group = new THREE.Group();
-        const origin = this.origins.shelfPlant;
 
         // === MATERIALS ===
         const potMaterial = new THREE.MeshStandardMaterial({
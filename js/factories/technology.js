@@ -3,26 +3,23 @@
  * Handles monitor, keyboard, mouse, laptop, and other tech items
  */
 
-import { applyOrigin, wrapText } from '../systems/utils.js';
-import { LIGHTING_CONFIG, OBJECT_ORIGINS } from '../config/config.js';
+import { applyOrigin, createCanvasTexture } from '../systems/utils.js';
+import { LIGHTING_CONFIG } from '../config/config.js';
+import { MonitorRenderer } from './monitor-renderer.js';
 
 export class TechnologyFactory {
     constructor(scene, lightingSystem = null) {
         this.scene = scene;
         this.lightingSystem = lightingSystem;
         this.interactiveObjects = [];
-
-        // Use centralized origins from config
-        this.origins = OBJECT_ORIGINS.technology;
     }
 
     /**
      * Create realistic computer monitor with detailed design
-     * All part positions are relative to the monitor origin defined in this.origins.monitor
+     * All part positions are relative to the monitor origin from its scene manifest entry
      */
-    createMonitor() {
+    createMonitor(origin) {
         const group = new THREE.Group();
-        const origin = this.origins.monitor;
 
         // Part offsets relative to monitor origin (origin is at base center)
         // Screen faces forward (+Z), stand/arm is behind (-Z)
@@ -39,79 +36,12 @@ export class TechnologyFactory {
             logo:        { x: 0,    y: -0.07, z: 0.02  }   // Logo on front
         };
 
-        // Create realistic screen content (white HTML-style content from start)
-        const canvas = document.createElement('canvas');
-        canvas.width = 1024;
-        canvas.height = 512;
-        const ctx = canvas.getContext('2d');
-
-        // Draw white background
-        ctx.fillStyle = '#f5f5f5';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-        // Scale to fit 1280x560 content into 1024x512 (Standard Power of Two texture)
-        ctx.scale(1024/1280, 512/560);
-
-        const texture = new THREE.CanvasTexture(canvas);
-
-        // Defer heavy text rendering to unblock initialization
-        requestAnimationFrame(() => setTimeout(() => {
-            // Header (h1 style)
-            ctx.fillStyle = '#333333';
-            ctx.font = 'bold 54px Arial';
-            ctx.textAlign = 'left';
-            ctx.fillText('Rob Keys', 80, 100);
-
-            // Subtitle (p style)
-            ctx.font = '36px Arial';
-            ctx.fillStyle = '#444444';
-            ctx.fillText('Software Development Engineer @ Amazon Web Services', 80, 140);
-
-            // About This Site section
-            let currentY = 240;
-            ctx.font = 'bold 48px Arial';
-            ctx.fillStyle = '#333333';
-            ctx.fillText('About This Site', 80, currentY);
-            
-            currentY += 50;
-            ctx.font = '30px Arial';
-            ctx.fillStyle = '#444444';
-            currentY = wrapText(ctx, 'This interactive 3D portfolio features a scrollable main monitor (use your mouse wheel!), dynamic lighting that syncs with your local time of day, and various interactive objects on the desk.', 80, currentY, 1120, 40);
-
-            currentY += 50;
-            ctx.fillStyle = '#333333';
-            ctx.fillText('Clickable objects include:', 80, currentY);
-            
-            currentY += 50;
-            const clickables = [
-                'Monitor (Overview)',
-                'Laptop (Projects)',
-                'Notebook (Current Projects)',
-                'Diploma (Education)'
-            ];
-
-            clickables.forEach(item => {
-                ctx.beginPath();
-                ctx.arc(100, currentY - 10, 6, 0, Math.PI * 2);
-                ctx.fillStyle = '#333333';
-                ctx.fill();
-                ctx.fillText(item, 120, currentY);
-                currentY += 50;
-            });
-
-            // About section (h2 + p)
-            currentY += 80;
-            ctx.font = 'bold 60px Arial';
-            ctx.fillStyle = '#333333';
-            ctx.fillText('About Me', 80, currentY);
-
-            currentY += 50;
-            ctx.fillStyle = '#444444';
-            ctx.font = '32px Arial';
-            currentY = wrapText(ctx, 'Hi! I\'m a Software Development Engineer at Amazon Web Services with a passion for building scalable, impactful systems. I graduated from UVA with a B.S. in Computer Science, maintaining a 4.0 GPA while completing my degree in just three years.', 80, currentY, 1120, 40);
+        // Screen content is laid out from MONITOR_DOCUMENT by the shared MonitorRenderer
+        const monitorRenderer = new MonitorRenderer();
+        const texture = monitorRenderer.getTexture();
 
-            texture.needsUpdate = true;
-        }, 0));
+        // Defer heavy text layout and rendering to unblock initialization
+        requestAnimationFrame(() => setTimeout(() => monitorRenderer.render(0), 0));
 
         // Set color space for correct color representation (compatible with r128+)
         if (texture.colorSpace !== undefined) {
@@ -357,6 +287,7 @@ export class TechnologyFactory {
         applyOrigin(group, origin, true); // Static object
         group.userData.name = 'monitor';
         group.userData.label = 'Monitor - About Me';
+        group.userData.monitorRenderer = monitorRenderer; // Shared with InteractionManager for scrolling
         this.interactiveObjects.push(group);
         return group;
     }
@@ -365,9 +296,8 @@ export class TechnologyFactory {
      * Create mechanical keyboard using InstancedMesh for performance
      * Batches all keycaps into a single draw call
      */
-    createKeyboard() {
+    createKeyboard(origin) {
         const group = new THREE.Group();
-        const origin = this.origins.keyboard;
 
         const offsets = {
             base:      { x: 0, y: -0.165, z: 0     },
@@ -536,9 +466,8 @@ export class TechnologyFactory {
         return group;
     }
 
-    createMouse() {
+    createMouse(origin) {
         const group = new THREE.Group();
-        const origin = this.origins.mouse;
 
         const bodyMaterial = new THREE.MeshStandardMaterial({
             color: 0x2a2a2a,
@@ -589,9 +518,8 @@ export class TechnologyFactory {
         return group;
     }
 
-    createLaptop() {
+    createLaptop(origin) {
         const group = new THREE.Group();
-        const origin = this.origins.laptop;
 
         const metalMaterial = new THREE.MeshStandardMaterial({
             color: 0x2a2a2a,
@@ -653,26 +581,14 @@ export class TechnologyFactory {
         lid.castShadow = true;
         screenLid.add(lid);
 
-        // Create screen display content
-        const canvas = document.createElement('canvas');
-        canvas.width = 1024;
-        canvas.height = 768;
-        const ctx = canvas.getContext('2d');
-
-        // Fill with simple color initially
-        ctx.fillStyle = '#667eea';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-        const texture = new THREE.CanvasTexture(canvas);
-
-        // Defer heavy rendering
-        requestAnimationFrame(() => setTimeout(() => {
+        // Screen display content - drawn after the first frame, plain color until then
+        const { texture } = createCanvasTexture(1024, 768, (ctx, size) => {
             // Desktop background gradient
-            const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
+            const gradient = ctx.createLinearGradient(0, 0, 0, size.height);
             gradient.addColorStop(0, '#667eea');
             gradient.addColorStop(1, '#764ba2');
             ctx.fillStyle = gradient;
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.fillRect(0, 0, size.width, size.height);
 
             // Window
             ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
@@ -702,27 +618,25 @@ export class TechnologyFactory {
             ctx.fillStyle = '#333333';
             ctx.font = 'bold 32px Arial';
             ctx.textAlign = 'center';
-            ctx.fillText('Work Experience', canvas.width / 2, 200);
+            ctx.fillText('Work Experience', size.width / 2, 200);
 
             ctx.font = 'bold 24px Arial';
             ctx.fillStyle = '#333333';
-            ctx.fillText('Amazon Web Services', canvas.width / 2, 280);
+            ctx.fillText('Amazon Web Services', size.width / 2, 280);
 
             ctx.font = '20px Arial';
             ctx.fillStyle = '#4a90e2';
-            ctx.fillText('Software Development Engineer', canvas.width / 2, 320);
-            ctx.fillText('Starting June 2026 | Full-time', canvas.width / 2, 355);
+            ctx.fillText('Software Development Engineer', size.width / 2, 320);
+            ctx.fillText('Starting June 2026 | Full-time', size.width / 2, 355);
 
             ctx.font = 'bold 24px Arial';
             ctx.fillStyle = '#333333';
-            ctx.fillText('AWS - SDE Intern', canvas.width / 2, 420);
+            ctx.fillText('AWS - SDE Intern', size.width / 2, 420);
 
             ctx.font = '20px Arial';
             ctx.fillStyle = '#4a90e2';
-            ctx.fillText('Summer 2025 | Seattle, WA', canvas.width / 2, 460);
-
-            texture.needsUpdate = true;
-        }, 0));
+            ctx.fillText('Summer 2025 | Seattle, WA', size.width / 2, 460);
+        }, { deferred: true, placeholder: '#667eea' });
 
         // Set color space for correct color representation (compatible with r128+)
         if (texture.colorSpace !== undefined) {
@@ -796,9 +710,8 @@ export class TechnologyFactory {
         return group;
     }
 
-    createDigitalClock() {
+    createDigitalClock(origin) {
         const group = new THREE.Group();
-        const origin = this.origins.clock;
 
         // Clock body - sleek rectangular box
         const bodyGeometry = new THREE.BoxGeometry(0.8, 0.4, 0.1);
@@ -813,15 +726,23 @@ export class TechnologyFactory {
         body.receiveShadow = true;
         group.add(body);
 
-        // LED Screen
-        const canvas = document.createElement('canvas');
-        canvas.width = 512;
-        canvas.height = 256;
-        const ctx = canvas.getContext('2d');
-        
-        const texture = new THREE.CanvasTexture(canvas);
-        if (texture.colorSpace !== undefined) texture.colorSpace = THREE.SRGBColorSpace;
-        else if (THREE.sRGBEncoding !== undefined) texture.encoding = THREE.sRGBEncoding;
+        // LED Screen - always shows displayedTime, so a repaint redraws the current time
+        let displayedTime = '';
+        const { texture } = createCanvasTexture(512, 256, (ctx, size) => {
+            ctx.fillStyle = '#050505';
+            ctx.fillRect(0, 0, size.width, size.height);
+
+            ctx.shadowColor = '#ff0000';
+            ctx.shadowBlur = 20 * ctx.getTransform().a; // Blur ignores the canvas scale
+            ctx.fillStyle = '#ff0000';
+            ctx.font = 'bold 100px monospace';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(displayedTime, size.width / 2, size.height / 2 + 5);
+        });
+        if (texture.colorSpace === undefined && THREE.sRGBEncoding !== undefined) {
+            texture.encoding = THREE.sRGBEncoding;
+        }
 
         const screenGeometry = new THREE.PlaneGeometry(0.6, 0.3);
         const screenMaterial = new THREE.MeshBasicMaterial({
@@ -832,28 +753,12 @@ export class TechnologyFactory {
         screen.position.set(0, 0.15, 0.051); // Slightly in front of body
         group.add(screen);
 
-        // Time update function
-        let lastTimeString = '';
-        
-        const updateTime = () => {
-            const now = new Date();
+        // Pass a date to show a simulated time (see TIME_CONFIG.clockFollowsOverride)
+        const updateTime = (now = new Date()) => {
             const timeString = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-            
-            if (timeString === lastTimeString) return;
-            lastTimeString = timeString;
-
-            ctx.fillStyle = '#050505';
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-            
-            ctx.shadowColor = '#ff0000';
-            ctx.shadowBlur = 20;
-            ctx.fillStyle = '#ff0000';
-            ctx.font = 'bold 100px monospace';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(timeString, canvas.width / 2, canvas.height / 2 + 5);
-            
-            texture.needsUpdate = true;
+            if (timeString === displayedTime) return;
+            displayedTime = timeString;
+            texture.userData.repaint();
         };
 
         updateTime();
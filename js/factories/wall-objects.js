@@ -3,25 +3,21 @@
  * Handles diploma, and other wall-mounted items
  */
 
-import { applyOrigin } from '../systems/utils.js';
-import { OBJECT_ORIGINS } from '../config/config.js';
+import { applyOrigin, createCanvasTexture } from '../systems/utils.js';
+import { VINYL_ALBUMS, getAlbumContent } from '../config/content.js';
 
 export class WallObjectFactory {
     constructor(scene) {
         this.scene = scene;
         this.interactiveObjects = [];
         this._diploma = null; // Reference for post-init finalization
-
-        // Use centralized origins from config
-        this.origins = OBJECT_ORIGINS.wall;
     }
 
     /**
      * Create wall diploma
      */
-    createWallDiploma() {
+    createWallDiploma(origin) {
         const group = new THREE.Group();
-        const origin = this.origins.diploma;
 
         // Part offsets relative to diploma origin (origin is at frame center)
         // cert z must be > 0.04 (half of frame depth 0.08) to avoid z-fighting
@@ -50,37 +46,25 @@ export class WallObjectFactory {
         frame.receiveShadow = true;
         group.add(frame);
 
-        // diploma canvas
-        const canvas = document.createElement('canvas');
-        canvas.width = 512;
-        canvas.height = 384;
-        const ctx = canvas.getContext('2d');
-
-        // Fill with simple color initially
-        ctx.fillStyle = '#f5f0e1';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-        const texture = new THREE.CanvasTexture(canvas);
-
-        // Defer heavy rendering
-        requestAnimationFrame(() => setTimeout(() => {
+        // diploma canvas - drawn after the first frame, parchment color until then
+        const { texture } = createCanvasTexture(512, 384, (ctx, size) => {
             // Parchment background with subtle texture
-            const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+            const gradient = ctx.createLinearGradient(0, 0, size.width, size.height);
             gradient.addColorStop(0, '#faf6e8');
             gradient.addColorStop(0.5, '#f5f0e1');
             gradient.addColorStop(1, '#efe5d5');
             ctx.fillStyle = gradient;
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.fillRect(0, 0, size.width, size.height);
 
             // Inner decorative border
             ctx.strokeStyle = '#c9a66b';
             ctx.lineWidth = 3;
             const margin = 20;
-            ctx.strokeRect(margin, margin, canvas.width - margin * 2, canvas.height - margin * 2);
+            ctx.strokeRect(margin, margin, size.width - margin * 2, size.height - margin * 2);
 
             ctx.strokeStyle = '#8B7355';
             ctx.lineWidth = 1;
-            ctx.strokeRect(margin + 4, margin + 4, canvas.width - (margin * 2 + 8), canvas.height - (margin * 2 + 8));
+            ctx.strokeRect(margin + 4, margin + 4, size.width - (margin * 2 + 8), size.height - (margin * 2 + 8));
 
             // Corner ornaments
             const cornerSize = 30;
@@ -88,9 +72,9 @@ export class WallObjectFactory {
             ctx.lineWidth = 2;
             const corners = [
                 [margin, margin, 1, 1],
-                [canvas.width - margin, margin, -1, 1],
-                [margin, canvas.height - margin, 1, -1],
-                [canvas.width - margin, canvas.height - margin, -1, -1]
+                [size.width - margin, margin, -1, 1],
+                [margin, size.height - margin, 1, -1],
+                [size.width - margin, size.height - margin, -1, -1]
             ];
             corners.forEach(([x, y, dx, dy]) => {
                 ctx.beginPath();
@@ -104,41 +88,41 @@ export class WallObjectFactory {
             ctx.fillStyle = '#1a1a2a';
             ctx.font = 'bold 24px Georgia, serif';
             ctx.textAlign = 'center';
-            ctx.fillText('diploma OF', canvas.width / 2, 55);
+            ctx.fillText('diploma OF', size.width / 2, 55);
 
             ctx.font = 'bold 32px Georgia, serif';
             ctx.fillStyle = '#2d4a22';
-            ctx.fillText('GRADUATION', canvas.width / 2, 90);
+            ctx.fillText('GRADUATION', size.width / 2, 90);
 
             // University name
             ctx.font = 'bold 20px Georgia, serif';
             ctx.fillStyle = '#1a1a2a';
-            ctx.fillText('University of Virginia', canvas.width / 2, 125);
+            ctx.fillText('University of Virginia', size.width / 2, 125);
 
             ctx.font = 'italic 16px Georgia, serif';
-            ctx.fillText('Charlottesville, Virginia', canvas.width / 2, 145);
+            ctx.fillText('Charlottesville, Virginia', size.width / 2, 145);
 
             // Awarded text
             ctx.font = '14px Georgia, serif';
-            ctx.fillText('This certifies that', canvas.width / 2, 175);
+            ctx.fillText('This certifies that', size.width / 2, 175);
 
             // Name
             ctx.font = 'bold 28px Georgia, serif';
             ctx.fillStyle = '#2d4a22';
-            ctx.fillText('ROB KEYS', canvas.width / 2, 205);
+            ctx.fillText('ROB KEYS', size.width / 2, 205);
 
             ctx.font = 'italic 14px Georgia, serif';
             ctx.fillStyle = '#1a1a2a';
-            ctx.fillText('has been awarded the degree of', canvas.width / 2, 230);
+            ctx.fillText('has been awarded the degree of', size.width / 2, 230);
 
             // Degree
             ctx.font = 'bold 18px Georgia, serif';
             ctx.fillStyle = '#1a1a2a';
-            ctx.fillText('Bachelor of Science', canvas.width / 2, 255);
-            ctx.fillText('in Computer Science', canvas.width / 2, 278);
+            ctx.fillText('Bachelor of Science', size.width / 2, 255);
+            ctx.fillText('in Computer Science', size.width / 2, 278);
 
             // UVA Seal - drawn on canvas
-            const sealX = canvas.width / 2;
+            const sealX = size.width / 2;
             const sealY = 330;
             const sealRadius = 25;
 
@@ -170,10 +154,8 @@ export class WallObjectFactory {
             ctx.font = '12px Georgia, serif';
             ctx.fillStyle = '#1a1a2a';
             ctx.textAlign = 'center';
-            ctx.fillText('Graduated May 2026', canvas.width / 2, 375);
-
-            texture.needsUpdate = true;
-        }, 0));
+            ctx.fillText('Graduated May 2026', size.width / 2, 375);
+        }, { deferred: true, placeholder: '#f5f0e1' });
 
         texture.minFilter = THREE.LinearFilter;
         texture.magFilter = THREE.LinearFilter;
@@ -246,7 +228,7 @@ export class WallObjectFactory {
 
         applyOrigin(group, origin, true); // Static object
         group.userData.name = 'diploma';
-        group.userData.label = 'diploma - Education';
+        group.userData.label = 'Diploma - Education';
         group.userData.artLight = artLight;
         group.userData.lightTarget = cert; // Store target for light finalization
         this.interactiveObjects.push(group);
@@ -271,30 +253,45 @@ export class WallObjectFactory {
         diploma.userData.artLight.rotation.x += 0.3;
     }
 
-    createVinylRecord() {
+    /**
+     * Album cover grid from VINYL_ALBUMS on a backing board.
+     * Each cover is its own interactive target (userData.interactiveChildren)
+     * that lifts off the wall while selected; the board around and between
+     * the covers opens the wall's own content.
+     */
+    createVinylRecord(origin) {
         const group = new THREE.Group();
-        const origin = this.origins.vinyl;
 
         // Album cover size and spacing
         const coverSize = 0.35;
         const spacing = 0.36; // Space between covers (reduced for tighter grid)
         const coverDepth = 0.01;
+        const lift = 0.06; // How far a selected cover comes off the wall (before group scale)
+
+        // Square-ish grid centered on the origin, filled row by row
+        const columns = Math.ceil(Math.sqrt(VINYL_ALBUMS.length));
+        const rows = Math.ceil(VINYL_ALBUMS.length / columns);
 
         // Album cover geometry
         const coverGeometry = new THREE.BoxGeometry(coverSize, coverSize, coverDepth);
         
-        // Load all 4 album cover images
+        // Backing board, a margin wider than the grid, so the gaps between covers are clickable too
+        const margin = 0.06;
+        const board = new THREE.Mesh(
+            new THREE.BoxGeometry(columns * spacing + margin, rows * spacing + margin, 0.004),
+            new THREE.MeshStandardMaterial({ color: 0x1c1c22, roughness: 0.9, metalness: 0.0 })
+        );
+        board.position.z = 0.001;
+        board.receiveShadow = true;
+        board.userData = { name: 'vinyl', label: 'Vinyl Records - Music & Creativity' };
+        group.add(board);
+
         const textureLoader = new THREE.TextureLoader();
-        const albumImages = [
-            { path: 'assets/images/kendrick.webp', position: { x: -spacing/2, y: spacing/2 } }, // Top left
-            { path: 'assets/images/kanye.webp', position: { x: spacing/2, y: spacing/2 } }, // Top right
-            { path: 'assets/images/mt_joy.webp', position: { x: -spacing/2, y: -spacing/2 } }, // Bottom left
-            { path: 'assets/images/olivia_dean.webp', position: { x: spacing/2, y: -spacing/2 } } // Bottom right
-        ];
+        const covers = [];
 
         // Create each album cover
-        albumImages.forEach((album, index) => {
-            const coverTexture = textureLoader.load(album.path);
+        VINYL_ALBUMS.forEach((album, index) => {
+            const coverTexture = textureLoader.load(album.image);
             coverTexture.colorSpace = THREE.SRGBColorSpace;
             
             const coverMaterial = new THREE.MeshStandardMaterial({
@@ -303,18 +300,39 @@ export class WallObjectFactory {
                 metalness: 0.0
             });
             
+            const column = index % columns;
+            const row = Math.floor(index / columns);
+
             const cover = new THREE.Mesh(coverGeometry, coverMaterial);
-            cover.position.set(album.position.x, album.position.y, coverDepth);
+            cover.position.set(
+                (column - (columns - 1) / 2) * spacing,
+                ((rows - 1) / 2 - row) * spacing,
+                coverDepth
+            );
             cover.castShadow = true;
             cover.receiveShadow = true;
+            cover.userData = {
+                name: album.id,
+                label: `${album.title} - ${album.artist}`,
+                contentData: getAlbumContent(album),
+                audioPreview: album.preview || null,
+                onSelect: () => gsap.to(cover.position, { z: coverDepth + lift, duration: 0.5, ease: 'power2.out' }),
+                onDeselect: () => gsap.to(cover.position, { z: coverDepth, duration: 0.4, ease: 'power2.inOut' })
+            };
             group.add(cover);
+            covers.push(cover);
         });
 
         group.scale.set(4, 4, 4); // Must set scale before freezing matrix
         applyOrigin(group, origin, true); // Static object
+
+        // Covers lift off the wall, so they keep updating their own matrices
+        covers.forEach(cover => { cover.matrixAutoUpdate = true; });
+
         group.userData.name = 'vinyl';
-        group.userData.label = 'vinyl - Music & Creativity';
-        this.interactiveObjects.push(group);
+        group.userData.label = 'Vinyl Records - Music & Creativity';
+        group.userData.interactiveChildren = [board, ...covers];
+        this.interactiveObjects.push(board, ...covers);
         return group;
     }
 
@@ -0,0 +1,220 @@
+/**
+ * Audio System
+ * Owns the AudioListener, master volume/mute, decoded clip cache and fades.
+ * The AudioContext is only created after the first user gesture (browser autoplay rules).
+ */
+
+import { AUDIO_CONFIG } from '../config/config.js';
+
+export class AudioSystem {
+    constructor(camera) {
+        this.camera = camera;
+        this.listener = null; // Created on first unlock
+        this.unlocked = false;
+        this.muted = this.loadMutePreference();
+        this.volume = AUDIO_CONFIG.volume;
+
+        // url -> Promise<AudioBuffer>
+        this._buffers = new Map();
+        this._unlockHandlers = [];
+
+        this.waitForGesture();
+    }
+
+    /**
+     * Unlock audio on the first pointer or key press
+     */
+    waitForGesture() {
+        const unlock = () => {
+            window.removeEventListener('pointerdown', unlock, true);
+            window.removeEventListener('keydown', unlock, true);
+            this.unlock();
+        };
+        window.addEventListener('pointerdown', unlock, true);
+        window.addEventListener('keydown', unlock, true);
+    }
+
+    /**
+     * Create (or resume) the audio context. Must run inside a user gesture.
+     */
+    unlock() {
+        if (!this.listener) {
+            this.listener = new THREE.AudioListener();
+            this.camera.add(this.listener);
+            this.applyMasterVolume();
+        }
+
+        const context = this.listener.context;
+        if (context.state === 'suspended') {
+            context.resume();
+        }
+
+        if (!this.unlocked) {
+            this.unlocked = true;
+            this._unlockHandlers.forEach(handler => handler());
+        }
+    }
+
+    /**
+     * Check whether sound may start without a gesture
+     * @returns {boolean} True once the user has interacted with the page
+     */
+    isUnlocked() {
+        return this.unlocked;
+    }
+
+    /**
+     * Run a handler once audio is unlocked (immediately if it already is)
+     * @param {Function} handler - Called after the first user gesture
+     */
+    onUnlock(handler) {
+        if (this.unlocked) handler();
+        else this._unlockHandlers.push(handler);
+    }
+
+    /**
+     * Set the master volume
+     * @param {number} volume - 0 to 1
+     */
+    setVolume(volume) {
+        this.volume = THREE.MathUtils.clamp(volume, 0, 1);
+        this.applyMasterVolume();
+    }
+
+    /**
+     * Mute or unmute everything (remembered across visits)
+     * @param {boolean} muted - True to silence all audio
+     */
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyMasterVolume();
+
+        try {
+            localStorage.setItem(AUDIO_CONFIG.muteStorageKey, muted ? '1' : '0');
+        } catch {
+            // Storage unavailable (private mode, blocked cookies) - preference lasts this visit only
+        }
+    }
+
+    loadMutePreference() {
+        try {
+            return localStorage.getItem(AUDIO_CONFIG.muteStorageKey) === '1';
+        } catch {
+            return false;
+        }
+    }
+
+    toggleMute() {
+        this.setMuted(!this.muted);
+        return this.muted;
+    }
+
+    applyMasterVolume() {
+        if (this.listener) {
+            this.listener.setMasterVolume(this.muted ? 0 : this.volume);
+        }
+    }
+
+    /**
+     * Load and decode a clip (cached by URL)
+     * @param {string} url - Audio file path
+     * @returns {Promise<AudioBuffer>} Rejects if the file is missing or can't be decoded
+     */
+    loadBuffer(url) {
+        if (!this._buffers.has(url)) {
+            const loader = new THREE.AudioLoader();
+            const promise = new Promise((resolve, reject) => {
+                loader.load(url, resolve, undefined, () => reject(new Error(`Could not load audio ${url}`)));
+            });
+            // Don't cache failures, so a clip added later can still be picked up
+            promise.catch(() => this._buffers.delete(url));
+            this._buffers.set(url, promise);
+        }
+        return this._buffers.get(url);
+    }
+
+    /**
+     * Create a non-positional sound (same level wherever the camera is)
+     * @param {AudioBuffer} buffer - Decoded clip
+     * @returns {THREE.Audio} Sound starting at zero gain
+     */
+    createSound(buffer) {
+        const sound = new THREE.Audio(this.listener);
+        sound.setBuffer(buffer);
+        sound.setVolume(0);
+        return sound;
+    }
+
+    /**
+     * Create a positional sound attached to an object
+     * @param {THREE.Object3D} object - Sound source
+     * @param {AudioBuffer} buffer - Decoded clip
+     * @returns {THREE.PositionalAudio} Sound starting at zero gain
+     */
+    createPositionalSound(object, buffer) {
+        const sound = new THREE.PositionalAudio(this.listener);
+        sound.setBuffer(buffer);
+        sound.setRefDistance(AUDIO_CONFIG.refDistance);
+        sound.setRolloffFactor(AUDIO_CONFIG.rolloffFactor);
+        sound.setVolume(0);
+        object.add(sound);
+        return sound;
+    }
+
+    /**
+     * Ramp a sound's own gain (the master volume and mute stay on the listener)
+     * @param {THREE.Audio} sound - Sound to fade
+     * @param {number} target - Target gain (0-1)
+     * @param {number} duration - Seconds
+     * @returns {Promise<boolean>} Resolves when the fade ends; false if a newer fade replaced it
+     */
+    fade(sound, target, duration) {
+        const gain = sound.gain.gain; // The sound's GainNode (getOutput() is the panner for PositionalAudio)
+        const now = sound.context.currentTime;
+
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(target, now + duration);
+
+        const token = {};
+        sound.userData.fadeToken = token;
+        return new Promise(resolve => setTimeout(() => resolve(sound.userData.fadeToken === token), duration * 1000));
+    }
+
+    /**
+     * Fade a sound in from silence and start it
+     * @param {THREE.Audio} sound - Sound to start
+     * @param {number} target - Gain to fade up to (0-1)
+     */
+    fadeIn(sound, target = 1) {
+        if (!sound.isPlaying) sound.play();
+        return this.fade(sound, target, AUDIO_CONFIG.fadeIn);
+    }
+
+    /**
+     * Fade a sound out, then pause it (keeps its position) or stop it
+     * @param {THREE.Audio} sound - Playing sound
+     * @param {Object} options
+     * @param {boolean} options.dispose - Stop and detach the sound instead of pausing
+     */
+    async fadeOut(sound, { dispose = false } = {}) {
+        const completed = await this.fade(sound, 0, AUDIO_CONFIG.fadeOut);
+
+        if (dispose) {
+            this.disposeSound(sound);
+        } else if (completed && sound.isPlaying) {
+            // Skipped if playback was resumed mid-fade
+            sound.pause();
+        }
+    }
+
+    /**
+     * Stop a sound and detach it from its object and the listener
+     * @param {THREE.Audio} sound - Sound to discard
+     */
+    disposeSound(sound) {
+        if (sound.isPlaying) sound.stop();
+        sound.parent?.remove(sound);
+        sound.getOutput().disconnect();
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Hover highlight
+ * Point light that follows the pointer over interactive objects
+ * and eases its intensity and color every frame
+ */
+
+import { HOVER_CONFIG } from '../config/config.js';
+
+/**
+ * Largest per-channel difference between two colors
+ */
+function colorDistance(a, b) {
+    return Math.max(Math.abs(a.r - b.r), Math.abs(a.g - b.g), Math.abs(a.b - b.b));
+}
+
+export class HoverHighlight {
+    constructor(scene) {
+        this.scene = scene;
+        this.target = null;
+
+        // Cached colors (avoid GC)
+        this._targetColor = new THREE.Color(HOVER_CONFIG.defaultColor);
+
+        const { distance, decay } = HOVER_CONFIG.light;
+        this.light = new THREE.PointLight(HOVER_CONFIG.defaultColor, 0, distance, decay);
+
+        // Light stays in the scene at zero intensity: toggling visibility changes
+        // the light count and forces every lit material to recompile
+        this.scene.add(this.light);
+    }
+
+    /**
+     * Highlight an object from just above the hovered point
+     * @param {THREE.Object3D} object - Hovered interactive object
+     * @param {THREE.Vector3} point - World-space intersection point
+     */
+    setTarget(object, point) {
+        this.light.position.copy(point);
+        this.light.position.y += HOVER_CONFIG.light.heightOffset;
+
+        if (this.target !== object) {
+            this.target = object;
+            // Parts of a group (album covers, shelf books) fall back to the group's color
+            const { colors } = HOVER_CONFIG;
+            this._targetColor.set(colors[object.userData.name] ?? colors[object.parent?.userData.name] ?? HOVER_CONFIG.defaultColor);
+
+            // Coming from dark: start in the new color instead of blending from the last one
+            if (this.light.intensity === 0) {
+                this.light.color.copy(this._targetColor);
+            }
+        }
+    }
+
+    /**
+     * Fade the highlight out
+     */
+    clear() {
+        this.target = null;
+    }
+
+    /**
+     * Ease intensity and color toward their targets
+     * @param {number} delta - Seconds since the last frame
+     * @returns {boolean} True while still fading (more frames needed)
+     */
+    update(delta) {
+        const goal = this.target ? HOVER_CONFIG.light.intensity : 0;
+        // Moving straight between objects keeps the intensity but still changes color
+        if (this.light.intensity === goal && this.light.color.equals(this._targetColor)) return false;
+
+        // Exponential ease, independent of frame rate
+        const t = 1 - Math.exp(-HOVER_CONFIG.fadeSpeed * delta);
+        this.light.intensity += (goal - this.light.intensity) * t;
+        this.light.color.lerp(this._targetColor, t);
+
+        if (Math.abs(goal - this.light.intensity) < 0.001) {
+            this.light.intensity = goal;
+        }
+        if (colorDistance(this.light.color, this._targetColor) < 0.001) {
+            this.light.color.copy(this._targetColor);
+        }
+        return this.light.intensity !== goal || !this.light.color.equals(this._targetColor);
+    }
+}
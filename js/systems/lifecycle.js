@@ -0,0 +1,90 @@
+/**
+ * Lifecycle Manager
+ * Suspends the render loop and background timers while the page can't be
+ * seen (hidden tab, canvas scrolled out of view, lost WebGL context) and
+ * resumes them once it can. Each cause is tracked separately, so the scene
+ * only wakes when none apply.
+ */
+
+import { RENDER_CONFIG } from '../config/config.js';
+
+export class LifecycleManager {
+    /**
+     * @param {SceneManager} sceneManager - Supplies the canvas and reports WebGL context loss
+     */
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.canvas = sceneManager.renderer.domElement;
+        this.reasons = new Set(); // 'hidden' | 'offscreen' | 'context-lost'
+        this._listeners = {};
+        this._observer = null;
+    }
+
+    /**
+     * Subscribe to lifecycle events
+     * - 'pause'  (reason)  when the scene goes from running to suspended
+     * - 'resume' ()        when the last reason to stay suspended clears
+     * @param {string} type - Event name
+     * @param {Function} handler - Called with the event arguments
+     */
+    on(type, handler) {
+        if (!this._listeners[type]) this._listeners[type] = [];
+        this._listeners[type].push(handler);
+    }
+
+    _emit(type, ...args) {
+        (this._listeners[type] || []).forEach(handler => handler(...args));
+    }
+
+    /**
+     * Start watching visibility and the WebGL context. Register 'pause'/'resume'
+     * handlers first: a page that loads in a background tab pauses right away.
+     */
+    start() {
+        if (RENDER_CONFIG.pauseWhenHidden) {
+            document.addEventListener('visibilitychange', () => {
+                this.setReason('hidden', document.hidden);
+            });
+            this.setReason('hidden', document.hidden);
+        }
+
+        if (RENDER_CONFIG.pauseWhenOffscreen && 'IntersectionObserver' in window) {
+            this._observer = new IntersectionObserver(([entry]) => {
+                this.setReason('offscreen', !entry.isIntersecting);
+            });
+            this._observer.observe(this.canvas);
+        }
+
+        // SceneManager rebuilds GPU resources before it reports the restore
+        this.sceneManager.on('contextlost', () => this.setReason('context-lost', true));
+        this.sceneManager.on('contextrestored', () => this.setReason('context-lost', false));
+        this.setReason('context-lost', this.sceneManager.contextLost);
+    }
+
+    /**
+     * Add or clear one cause for suspension
+     * @param {string} reason - 'hidden', 'offscreen' or 'context-lost'
+     * @param {boolean} active - Whether the cause currently applies
+     */
+    setReason(reason, active) {
+        const wasPaused = this.isPaused();
+        if (active) {
+            this.reasons.add(reason);
+        } else {
+            this.reasons.delete(reason);
+        }
+
+        if (!wasPaused && this.isPaused()) {
+            this._emit('pause', reason);
+        } else if (wasPaused && !this.isPaused()) {
+            this._emit('resume');
+        }
+    }
+
+    /**
+     * @returns {boolean} True while any cause for suspension applies
+     */
+    isPaused() {
+        return this.reasons.size > 0;
+    }
+}
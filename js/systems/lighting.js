@@ -4,6 +4,7 @@
  */
 
 import { SHADOW_CONFIG, LIGHTING_CONFIG } from '../config/config.js';
+import { getSunPosition, getSunTimes, estimateLocation } from './sun.js';
 
 export class LightingSystem {
     constructor(renderer, scene) {
@@ -25,10 +26,37 @@ export class LightingSystem {
         // Glare materials that need camera updates
         this.glareMaterials = [];
 
+        // Glare light slots: window, desk lamp, reserved, reserved
+        // (kept here so materials created later start with the current values)
+        this.glareLightIntensities = [0.22, 0.8, 0, 0];
+        this.glareLightPositions = [
+            new THREE.Vector3(-5, 8, 3),    // Main window light
+            new THREE.Vector3(2.5, 2, -1),  // Desk lamp (follows the lamp head)
+            new THREE.Vector3(0, 0, 0),     // Reserved
+            new THREE.Vector3(0, 0, 0)      // Reserved
+        ];
+
         // Day/night cycle cached colors (avoid GC)
         this._startColor = new THREE.Color();
         this._endColor = new THREE.Color();
 
+        // Weather modifiers applied on top of the day/night main light (see setWeather)
+        this.weather = {
+            tint: new THREE.Color(0xffffff),
+            intensity: 1,
+            shadowRadius: SHADOW_CONFIG.main.radius
+        };
+
+        // Simulated hour (0-24) set by setTimeOfDay(); null follows the real clock
+        this.timeOverride = null;
+
+        // Sun-aware day/night (LIGHTING_CONFIG.sun): location, cached sun times for the day
+        // and the main light's default (window) position, filled in by init()
+        this.sunLocation = null;
+        this._sunTimes = null;
+        this._sunTimesDay = '';
+        this._windowPosition = new THREE.Vector3();
+
         // Day/night keyframes
         this.dayNightKeyframes = [
             { hour: 0, color: 0x1a1a2e, intensity: 0.3 },   // Deep night
@@ -52,13 +80,25 @@ export class LightingSystem {
 
         this.createEnvironmentMap();
         this.setupLights();
+
+        const sun = LIGHTING_CONFIG.sun;
+        if (sun.enabled) {
+            const estimate = estimateLocation();
+            this.sunLocation = {
+                latitude: sun.latitude ?? estimate.latitude,
+                longitude: sun.longitude ?? estimate.longitude
+            };
+        }
     }
 
     /**
      * Create procedural environment map for realistic reflections
-     * Generates a simple environment that matches the room's lighting
+     * Generates a simple environment that matches the room's lighting.
+     * Calling it again (after a context loss) replaces and frees the old map.
      */
     createEnvironmentMap() {
+        this.envMap?.dispose();
+
         const pmremGenerator = new THREE.PMREMGenerator(this.renderer);
 
         // Create a simple environment scene
@@ -99,10 +139,8 @@ export class LightingSystem {
      * Set up all scene lights with physical properties
      */
     setupLights() {
-        const isMobile = window.innerWidth < 768;
-        const shadowMapSize = isMobile ?
-            SHADOW_CONFIG.mobile.mapSize :
-            SHADOW_CONFIG.main.mapSize;
+        // Full size; QualityManager scales shadow maps to the active tier before the first render
+        const shadowMapSize = SHADOW_CONFIG.main.mapSize;
 
         // Ambient light - simulates indirect/bounced light in the room
         const ambientLight = new THREE.AmbientLight(0x1a1a24, 0.35);
@@ -135,6 +173,7 @@ export class LightingSystem {
         mainLight.shadow.radius = SHADOW_CONFIG.main.radius;
         this.scene.add(mainLight);
         this.lights.main = mainLight;
+        this._windowPosition.copy(mainLight.position);
 
         // Fill light - PointLight with physical falloff (not infinite DirectionalLight)
         const fillLight = new THREE.PointLight(
@@ -180,19 +219,14 @@ export class LightingSystem {
 
         const uniforms = {
             // Light source positions (up to 4)
-            uLightPositions: { value: [
-                new THREE.Vector3(-5, 8, 3),    // Main window light
-                new THREE.Vector3(2.5, 2, -1),  // Desk lamp (will be updated)
-                new THREE.Vector3(0, 0, 0),     // Reserved
-                new THREE.Vector3(0, 0, 0)      // Reserved
-            ]},
+            uLightPositions: { value: this.glareLightPositions.map(position => position.clone()) },
             uLightColors: { value: [
                 new THREE.Color(0xffeedd),  // Window - warm white
                 new THREE.Color(0xffddaa),  // Lamp - warm yellow
                 new THREE.Color(0x000000),
                 new THREE.Color(0x000000)
             ]},
-            uLightIntensities: { value: new Float32Array([0.22, 0.8, 0, 0]) },
+            uLightIntensities: { value: new Float32Array(this.glareLightIntensities) },
             uCameraPosition: { value: new THREE.Vector3() },
             uGlareIntensity: { value: glareIntensity },
             uGlareSharpness: { value: glareSharpness },
@@ -291,6 +325,30 @@ export class LightingSystem {
         }
     }
 
+    /**
+     * Move one glare light slot on every glare material (e.g., lamp head dragged)
+     * @param {number} lightIndex - Which light slot to update (0-3)
+     * @param {THREE.Vector3} position - New world-space light position
+     */
+    setGlareLightPosition(lightIndex, position) {
+        this.glareLightPositions[lightIndex].copy(position);
+        for (const material of this.glareMaterials) {
+            this.updateGlareLightPosition(material, lightIndex, position);
+        }
+    }
+
+    /**
+     * Set one glare light slot's intensity on every glare material (e.g., lamp switched off)
+     * @param {number} lightIndex - Which light slot to update (0-3)
+     * @param {number} intensity - New intensity (0 disables the slot)
+     */
+    setGlareLightIntensity(lightIndex, intensity) {
+        this.glareLightIntensities[lightIndex] = intensity;
+        for (const material of this.glareMaterials) {
+            material.uniforms.uLightIntensities.value[lightIndex] = intensity;
+        }
+    }
+
     /**
      * Update all glare materials with current camera position
      * @param {THREE.Camera} camera - The scene camera
@@ -302,14 +360,151 @@ export class LightingSystem {
     }
 
     /**
-     * Update day/night cycle based on real time
+     * Blend the window light toward a weather preset
+     * @param {Object} preset - WEATHER_CONFIG preset ({color, intensity, shadowRadius})
+     * @param {number} duration - Seconds to blend (0 = immediately)
+     */
+    setWeather({ color, intensity, shadowRadius = SHADOW_CONFIG.main.radius }, duration = 0) {
+        const tint = new THREE.Color(color);
+        gsap.killTweensOf(this.weather);
+        gsap.killTweensOf(this.weather.tint);
+        gsap.to(this.weather.tint, { r: tint.r, g: tint.g, b: tint.b, duration });
+        gsap.to(this.weather, { intensity, shadowRadius, duration });
+    }
+
+    /**
+     * Freeze the day/night cycle at a simulated time
+     * @param {number} hour - Decimal hour (19.5 = 19:30); wraps into 0-24
+     */
+    setTimeOfDay(hour) {
+        this.timeOverride = ((hour % 24) + 24) % 24;
+    }
+
+    /**
+     * Drop the override and follow the visitor's clock again
+     */
+    followRealTime() {
+        this.timeOverride = null;
+    }
+
+    isFollowingRealTime() {
+        return this.timeOverride === null;
+    }
+
+    /**
+     * Current hour driving the day/night cycle (simulated or real)
+     * @returns {number} Decimal hour, 0-24
+     */
+    getTimeOfDay() {
+        if (this.timeOverride !== null) return this.timeOverride;
+
+        const now = new Date();
+        return now.getHours() + now.getMinutes() / 60;
+    }
+
+    /**
+     * Today's date at the current (simulated or real) time of day
+     * @returns {Date} Date for displaying the time
+     */
+    getTimeOfDayDate() {
+        const date = new Date();
+        if (this.timeOverride !== null) {
+            date.setHours(0, Math.floor(this.timeOverride * 60), 0, 0);
+        }
+        return date;
+    }
+
+    /**
+     * Sunrise/sunset for the day of `date` (recomputed once per day)
+     */
+    getDaySunTimes(date) {
+        const day = date.toDateString();
+        if (this._sunTimesDay !== day) {
+            this._sunTimes = getSunTimes(date, this.sunLocation.latitude, this.sunLocation.longitude);
+            this._sunTimesDay = day;
+        }
+        return this._sunTimes;
+    }
+
+    /**
+     * Map a clock hour onto the keyframe timeline so the keyframes' sunrise and
+     * sunset land on the real ones (night and day stretch or shrink to fit)
+     * @param {number} hour - Decimal clock hour
+     * @param {Date} date - The day, for its sunrise/sunset
+     * @returns {number} Hour to look up in dayNightKeyframes
+     */
+    toKeyframeHour(hour, date) {
+        const { keyframeSunrise, keyframeSunset } = LIGHTING_CONFIG.sun;
+        const { sunrise, sunset, polar } = this.getDaySunTimes(date);
+
+        // Midnight sun stays on the daytime frames; polar night stays at midnight
+        if (polar === 'day') return keyframeSunrise + (keyframeSunset - keyframeSunrise) * hour / 24;
+        if (polar === 'night') return 0;
+
+        // A badly estimated longitude can push sunset past midnight; keep the fixed hours then
+        if (sunset <= sunrise) return hour;
+
+        // Piecewise-linear between (0, 0), (sunrise, keyframeSunrise), (sunset, keyframeSunset), (24, 24)
+        const points = [[0, 0], [sunrise, keyframeSunrise], [sunset, keyframeSunset], [24, 24]];
+        for (let i = 0; i < points.length - 1; i++) {
+            const [clockStart, keyStart] = points[i];
+            const [clockEnd, keyEnd] = points[i + 1];
+            if (hour < clockEnd || i === points.length - 2) {
+                return keyStart + (keyEnd - keyStart) * (hour - clockStart) / Math.max(clockEnd - clockStart, 1e-6);
+            }
+        }
+        return hour;
+    }
+
+    /**
+     * Swing the main light with the sun: elevation as-is, azimuth relative to
+     * solar noon mapped around the window direction (clamped to maxSwing)
+     * @param {Date} date - Instant to place the sun for
+     */
+    updateSunDirection(date) {
+        const { maxSwing, minElevation } = LIGHTING_CONFIG.sun;
+        const { latitude, longitude } = this.sunLocation;
+        const { azimuth, elevation } = getSunPosition(date, latitude, longitude);
+        const main = this.lights.main;
+
+        if (elevation < minElevation) {
+            main.position.copy(this._windowPosition);
+            this.setGlareLightPosition(0, main.position);
+            return;
+        }
+
+        // The noon sun is due south in the northern hemisphere, due north in the southern
+        const noonAzimuth = latitude >= 0 ? 180 : 0;
+        const fromNoon = ((azimuth - noonAzimuth + 540) % 360) - 180;
+        const swing = THREE.MathUtils.clamp(fromNoon, -maxSwing, maxSwing) * THREE.MathUtils.DEG2RAD;
+
+        const windowPosition = this._windowPosition;
+        const heading = Math.atan2(windowPosition.z, windowPosition.x) + swing;
+        const tilt = elevation * THREE.MathUtils.DEG2RAD;
+        const distance = windowPosition.length();
+        main.position.set(
+            Math.cos(tilt) * Math.cos(heading) * distance,
+            Math.sin(tilt) * distance,
+            Math.cos(tilt) * Math.sin(heading) * distance
+        );
+
+        // Screen glare from the window (slot 0) comes from the same direction
+        this.setGlareLightPosition(0, main.position);
+    }
+
+    /**
+     * Update day/night cycle from the real or overridden time
      * Interpolates light color and intensity between keyframes
      */
     updateDayNightCycle() {
         if (!this.lights.main) return;
 
-        const now = new Date();
-        const hour = now.getHours() + now.getMinutes() / 60;
+        let hour = this.getTimeOfDay();
+        if (this.sunLocation) {
+            const date = this.getTimeOfDayDate();
+            hour = this.toKeyframeHour(hour, date);
+            this.updateSunDirection(date);
+        }
 
         // Find current time interval
         let startFrame = this.dayNightKeyframes[0];
@@ -334,6 +529,11 @@ export class LightingSystem {
         // Interpolate intensity
         this.lights.main.intensity = startFrame.intensity + (endFrame.intensity - startFrame.intensity) * t;
 
+        // Weather dims and tints the window light and softens its shadows
+        this.lights.main.color.multiply(this.weather.tint);
+        this.lights.main.intensity *= this.weather.intensity;
+        this.lights.main.shadow.radius = this.weather.shadowRadius;
+
         // Ambient and hemisphere lights scale with main light for realistic day/night variation
         const mainIntensity = this.lights.main.intensity;
         if (this.lights.ambient) {
@@ -346,10 +546,8 @@ export class LightingSystem {
         }
 
         // Update glare light intensities to match day/night
-        for (const material of this.glareMaterials) {
-            // Window light (index 0) scales with main light
-            material.uniforms.uLightIntensities.value[0] = mainIntensity;
-        }
+        // Window light (index 0) scales with main light
+        this.setGlareLightIntensity(0, mainIntensity);
     }
 
     /**
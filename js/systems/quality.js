@@ -0,0 +1,221 @@
+/**
+ * Quality Manager
+ * Applies QUALITY_CONFIG tiers (pixel ratio, shadow maps, bloom, area lights,
+ * steam, textures) and, in auto mode, steps the tier down/up from measured frame times
+ */
+
+import { QUALITY_CONFIG, SHADOW_CONFIG } from '../config/config.js';
+import { setCanvasTextureScale } from './utils.js';
+import { requestRender } from './render-scheduler.js';
+
+export class QualityManager {
+    /**
+     * Pick the starting tier. Call before objects are created so canvas textures
+     * use its resolution; call apply() once the scene is populated.
+     * @param {SceneManager} sceneManager - Renderer, composer and scene to adjust
+     */
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.mode = this.loadPreference();
+        this.tier = this.mode === 'auto' ? this.getAutoStartTier() : this.mode;
+        this._changeHandlers = [];
+
+        // Frame-time sampling for auto mode
+        this._sampleTime = 0;
+        this._sampleMs = 0;
+        this._sampleFrames = 0;
+        this._sinceChange = 0;
+        this._fastTime = 0;
+        this._downshifts = {}; // tier -> times auto mode had to leave it
+
+        setCanvasTextureScale(this.getSettings().textureScale);
+    }
+
+    loadPreference() {
+        try {
+            const saved = localStorage.getItem(QUALITY_CONFIG.storageKey);
+            if (saved === 'auto' || QUALITY_CONFIG.tiers[saved]) return saved;
+        } catch {
+            // Storage unavailable - use the default
+        }
+        return QUALITY_CONFIG.default;
+    }
+
+    getAutoStartTier() {
+        const { startTier, smallScreenStartTier } = QUALITY_CONFIG.adaptive;
+        return window.innerWidth < 768 ? smallScreenStartTier : startTier;
+    }
+
+    /**
+     * @returns {Object} Settings of the active tier
+     */
+    getSettings() {
+        return QUALITY_CONFIG.tiers[this.tier];
+    }
+
+    /**
+     * Register a handler for tier or mode changes (e.g. to update a menu)
+     * @param {Function} handler - Called with (tier, mode)
+     */
+    onChange(handler) {
+        this._changeHandlers.push(handler);
+    }
+
+    /**
+     * Choose 'auto' or a fixed tier (remembered across visits)
+     * @param {string} mode - 'auto' or a QUALITY_CONFIG.tiers key
+     */
+    setMode(mode) {
+        if (mode !== 'auto' && !QUALITY_CONFIG.tiers[mode]) {
+            console.warn(`Unknown quality mode "${mode}"`);
+            return;
+        }
+
+        this.mode = mode;
+        try {
+            localStorage.setItem(QUALITY_CONFIG.storageKey, mode);
+        } catch {
+            // Storage unavailable - choice lasts this visit only
+        }
+
+        this.resetSamples();
+        this._fastTime = 0;
+        this._downshifts = {};
+        if (mode === 'auto') {
+            this._changeHandlers.forEach(handler => handler(this.tier, this.mode));
+        } else {
+            this.setTier(mode);
+        }
+    }
+
+    /**
+     * Switch to a tier and apply it
+     * @param {string} tier - QUALITY_CONFIG.tiers key
+     */
+    setTier(tier) {
+        this.tier = tier;
+        this._sinceChange = 0;
+        this.apply();
+        this._changeHandlers.forEach(handler => handler(this.tier, this.mode));
+    }
+
+    /**
+     * Apply the active tier to the renderer and scene
+     */
+    apply() {
+        const settings = this.getSettings();
+        const { scene, bloomPass } = this.sceneManager;
+
+        this.sceneManager.setPixelRatio(settings.pixelRatio);
+        if (bloomPass) bloomPass.enabled = settings.bloom;
+        setCanvasTextureScale(settings.textureScale); // Redraws canvas textures if the scale changed
+
+        scene.traverse((object) => {
+            if (object.isLight && object.castShadow) {
+                this.applyShadowMapSize(object, settings.shadowScale);
+            }
+
+            // Changing visibility recompiles lit materials once; acceptable for a tier change
+            if (object.isRectAreaLight) {
+                object.visible = settings.rectAreaLights;
+            }
+
+            if (object.userData.setSteamCount) {
+                object.userData.setSteamCount(settings.steamParticles);
+            }
+
+            if (object.isMesh) {
+                this.applyAnisotropy(object.material, settings.anisotropy);
+            }
+        });
+        requestRender();
+    }
+
+    /**
+     * Resize a light's shadow map (the old map is freed and rebuilt on the next render).
+     * Small screens are capped at SHADOW_CONFIG.mobile even on a pinned high tier.
+     */
+    applyShadowMapSize(light, scale) {
+        const base = light.isDirectionalLight ? SHADOW_CONFIG.main.mapSize : SHADOW_CONFIG.lamp.mapSize;
+        let size = Math.max(256, Math.round(base * scale));
+        if (window.innerWidth < 768) size = Math.min(size, SHADOW_CONFIG.mobile.mapSize);
+        if (light.shadow.mapSize.x === size) return;
+
+        light.shadow.mapSize.set(size, size);
+        if (light.shadow.map) {
+            light.shadow.map.dispose();
+            light.shadow.map = null;
+        }
+    }
+
+    /**
+     * Cap texture anisotropy at the tier's level (never above the authored value)
+     */
+    applyAnisotropy(material, anisotropy) {
+        const materials = Array.isArray(material) ? material : [material];
+        materials.forEach((mat) => {
+            const texture = mat?.map;
+            if (!texture) return;
+
+            texture.userData.authoredAnisotropy ??= texture.anisotropy;
+            const value = Math.min(texture.userData.authoredAnisotropy, anisotropy);
+            if (texture.anisotropy !== value) {
+                texture.anisotropy = value;
+                texture.needsUpdate = true;
+            }
+        });
+    }
+
+    resetSamples() {
+        this._sampleTime = 0;
+        this._sampleMs = 0;
+        this._sampleFrames = 0;
+    }
+
+    /**
+     * Measure frame time and step the tier in auto mode - call each frame
+     * @param {number} delta - Seconds since the last frame
+     */
+    update(delta) {
+        if (this.mode !== 'auto') return;
+
+        const adaptive = QUALITY_CONFIG.adaptive;
+        const frameMs = delta * 1000;
+        this._sinceChange += delta;
+
+        if (frameMs > adaptive.ignoreFrameMs) {
+            this.resetSamples();
+            return;
+        }
+
+        this._sampleTime += delta;
+        this._sampleMs += frameMs;
+        this._sampleFrames++;
+        if (this._sampleTime < adaptive.sampleSeconds) return;
+
+        const averageMs = this._sampleMs / this._sampleFrames;
+        const sampled = this._sampleTime;
+        this.resetSamples();
+
+        if (this._sinceChange < adaptive.cooldownSeconds) return;
+
+        const index = QUALITY_CONFIG.order.indexOf(this.tier);
+        if (averageMs > adaptive.downshiftFrameMs) {
+            this._fastTime = 0;
+            if (index > 0) {
+                this._downshifts[this.tier] = (this._downshifts[this.tier] || 0) + 1;
+                this.setTier(QUALITY_CONFIG.order[index - 1]);
+            }
+        } else if (averageMs < adaptive.upshiftFrameMs && index < QUALITY_CONFIG.order.length - 1) {
+            // Climbing back into a tier that was too slow before takes longer each time
+            const next = QUALITY_CONFIG.order[index + 1];
+            this._fastTime += sampled;
+            if (this._fastTime >= adaptive.upshiftAfterSeconds * (1 + (this._downshifts[next] || 0))) {
+                this._fastTime = 0;
+                this.setTier(next);
+            }
+        } else {
+            this._fastTime = 0;
+        }
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * Render Scheduler
+ * Dirty-flag render loop: a frame is drawn only after requestRender() or while
+ * the frame callback reports ongoing animation, so an untouched scene stops
+ * costing GPU time. Ambient animation is capped at RENDER_CONFIG.idleFps.
+ */
+
+import { RENDER_CONFIG } from '../config/config.js';
+
+// Nominal step for the first frame after idling (the real gap can be minutes)
+const WAKE_DELTA = 1 / 60;
+
+// The scheduler requestRender() wakes (there is one render loop per page)
+let activeScheduler = null;
+
+/**
+ * Ask the running render loop for a frame (a no-op until it exists).
+ * Call after changing something on screen outside a camera move or GSAP tween
+ * (hover, drags, sliders).
+ */
+export function requestRender() {
+    activeScheduler?.requestRender();
+}
+
+/**
+ * What the frame callback still needs after drawing
+ * - 'active'  more frames at the full display rate (camera moving, fades running)
+ * - 'ambient' low-rate frames for background animation (steam)
+ * - 'idle'    nothing until the next requestRender()
+ * @typedef {'active'|'ambient'|'idle'} FrameDemand
+ */
+
+export class RenderScheduler {
+    /**
+     * @param {Function} onFrame - (delta, continuous) => FrameDemand; updates and draws one frame.
+     *   `continuous` is true when this frame directly follows a full-rate frame (usable for timing)
+     * @param {THREE.OrbitControls} controls - Camera moves (including damping) request frames
+     */
+    constructor(onFrame, controls = null) {
+        this.onFrame = onFrame;
+        this.dirty = false;
+        this.frameId = null;
+        this.idleTimer = null;
+        this.lastFrameTime = null; // null = waking from idle
+        this.lastDemand = 'idle';
+        this.running = false;
+        this.inFrame = false; // Requests made while drawing are answered after the frame
+
+        this.requestRender = this.requestRender.bind(this);
+
+        controls?.addEventListener('change', this.requestRender);
+        // Resizing clears the canvas
+        window.addEventListener('resize', this.requestRender);
+
+        // Every tween (zoom, tour, fades) asks for a frame each time it updates. This is a
+        // default, so a tween with its own onUpdate must call requestRender() itself
+        gsap.defaults({ onUpdate: requestRender });
+
+        activeScheduler = this;
+    }
+
+    /**
+     * Begin rendering (draws the first frame immediately on the next animation frame)
+     */
+    start() {
+        this.running = true;
+        this.requestRender();
+    }
+
+    /**
+     * Stop scheduling frames until start() is called again
+     */
+    stop() {
+        this.running = false;
+        cancelAnimationFrame(this.frameId);
+        clearTimeout(this.idleTimer);
+        this.frameId = null;
+        this.idleTimer = null;
+        this.lastFrameTime = null;
+    }
+
+    /**
+     * Mark the scene as changed; a frame is drawn on the next animation frame
+     */
+    requestRender() {
+        this.dirty = true;
+        if (!this.running || this.inFrame || this.frameId !== null) return;
+
+        // A pending low-rate ambient frame is superseded by this one
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        this.frameId = requestAnimationFrame((time) => this.frame(time));
+    }
+
+    frame(time) {
+        this.frameId = null;
+
+        const continuous = this.lastFrameTime !== null && this.lastDemand === 'active';
+        const delta = this.lastFrameTime === null ? WAKE_DELTA : (time - this.lastFrameTime) / 1000;
+        this.lastFrameTime = time;
+        this.dirty = false;
+
+        this.inFrame = true;
+        let demand;
+        try {
+            demand = this.onFrame(delta, continuous);
+        } finally {
+            this.inFrame = false;
+        }
+        if (!RENDER_CONFIG.onDemand) demand = 'active';
+        this.lastDemand = demand;
+
+        // Anything that changed during the frame (control damping, new tweens) asks again
+        if (demand === 'active' || this.dirty) {
+            this.lastDemand = 'active';
+            this.frameId = requestAnimationFrame((t) => this.frame(t));
+        } else if (demand === 'ambient' && RENDER_CONFIG.idleFps > 0) {
+            this.idleTimer = setTimeout(() => {
+                this.idleTimer = null;
+                this.frameId = requestAnimationFrame((t) => this.frame(t));
+            }, 1000 / RENDER_CONFIG.idleFps);
+        } else {
+            this.lastFrameTime = null;
+        }
+    }
+}
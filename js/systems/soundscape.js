@@ -0,0 +1,85 @@
+/**
+ * Soundscape
+ * Looping room tone and per-object sound cues (keyboard clack, lamp switch,
+ * coffee sip, page rustle) driven by InteractionManager zoom and toggle events
+ */
+
+import { SOUNDSCAPE_CONFIG } from '../config/config.js';
+
+export class Soundscape {
+    /**
+     * @param {AudioSystem} audioSystem - Listener, loading and master volume
+     * @param {InteractionManager} interactionManager - Source of zoom and toggle events
+     */
+    constructor(audioSystem, interactionManager) {
+        this.audio = audioSystem;
+        this.roomTone = null;
+        this.paused = false; // Set by pause() while the page can't be seen
+
+        // object name -> AudioBuffer, filled once the files have loaded
+        this.cueBuffers = new Map();
+
+        // Nothing is fetched until the visitor has interacted with the page
+        this.audio.onUnlock(() => this.load());
+
+        interactionManager.on('zoom', (object) => this.playCue(object, 'zoom'));
+        interactionManager.on('toggle', (object) => this.playCue(object, 'toggle'));
+    }
+
+    /**
+     * Load the room tone and cue files; missing files are skipped with a warning
+     */
+    load() {
+        const { roomTone, cues } = SOUNDSCAPE_CONFIG;
+
+        if (roomTone) {
+            this.audio.loadBuffer(roomTone.url)
+                .then(buffer => this.startRoomTone(buffer))
+                .catch(error => console.warn(error.message));
+        }
+
+        Object.entries(cues).forEach(([name, cue]) => {
+            this.audio.loadBuffer(cue.url)
+                .then(buffer => this.cueBuffers.set(name, buffer))
+                .catch(error => console.warn(error.message));
+        });
+    }
+
+    startRoomTone(buffer) {
+        this.roomTone = this.audio.createSound(buffer);
+        this.roomTone.setLoop(true);
+        if (!this.paused) this.audio.fadeIn(this.roomTone, SOUNDSCAPE_CONFIG.roomTone.volume);
+    }
+
+    /**
+     * Fade out the room tone while the page is hidden (LifecycleManager 'pause')
+     */
+    pause() {
+        this.paused = true;
+        if (this.roomTone?.isPlaying) this.audio.fadeOut(this.roomTone);
+    }
+
+    /**
+     * Fade the room tone back in after pause()
+     */
+    resume() {
+        this.paused = false;
+        if (this.roomTone) this.audio.fadeIn(this.roomTone, SOUNDSCAPE_CONFIG.roomTone.volume);
+    }
+
+    /**
+     * Play an object's one-shot cue from the object itself
+     * @param {THREE.Object3D} object - Object that was zoomed into or toggled
+     * @param {string} event - InteractionManager event; cues fire on 'zoom' unless they set `event`
+     */
+    playCue(object, event) {
+        const name = object.userData.name;
+        const buffer = this.cueBuffers.get(name);
+        if (!buffer || (SOUNDSCAPE_CONFIG.cues[name].event || 'zoom') !== event) return;
+
+        const sound = this.audio.createPositionalSound(object, buffer);
+        sound.setVolume(SOUNDSCAPE_CONFIG.cues[name].volume);
+        sound.onEnded = () => this.audio.disposeSound(sound);
+        sound.play();
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Sun position
+ * Sunrise/sunset and solar azimuth/elevation from the NOAA solar calculator
+ * equations, plus a rough visitor location guessed from the browser's timezone.
+ * Purely computational - no geolocation prompt, no network.
+ */
+
+const DEG = Math.PI / 180;
+
+// Latitude used when estimating; only the hemisphere is inferred from the timezone
+const ESTIMATED_LATITUDE = 40;
+
+// IANA zones south of the equator that have no daylight saving to give them away
+const SOUTHERN_ZONES = /^(Australia|Antarctica|Pacific\/(Auckland|Chatham|Fiji|Tongatapu|Apia|Noumea)|America\/(Argentina|Sao_Paulo|Santiago|Montevideo|Asuncion|La_Paz|Lima)|Africa\/(Johannesburg|Maputo|Harare|Lusaka|Windhoek|Gaborone|Maseru|Mbabane)|Indian\/(Mauritius|Reunion))/;
+
+/**
+ * Solar coordinates shared by the position and sunrise/sunset calculations
+ * @param {Date} date - Instant to evaluate
+ * @returns {{declination: number, equationOfTime: number}} Declination in degrees, equation of time in minutes
+ */
+function solarCoordinates(date) {
+    const julianDay = date.getTime() / 86400000 + 2440587.5;
+    const t = (julianDay - 2451545) / 36525; // Julian centuries since J2000
+
+    const meanLongitude = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+    const meanAnomaly = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+    const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+
+    const center = Math.sin(meanAnomaly * DEG) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+        Math.sin(2 * meanAnomaly * DEG) * (0.019993 - 0.000101 * t) +
+        Math.sin(3 * meanAnomaly * DEG) * 0.000289;
+    const omega = 125.04 - 1934.136 * t;
+    const apparentLongitude = meanLongitude + center - 0.00569 - 0.00478 * Math.sin(omega * DEG);
+
+    const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+    const obliquity = meanObliquity + 0.00256 * Math.cos(omega * DEG);
+    const declination = Math.asin(Math.sin(obliquity * DEG) * Math.sin(apparentLongitude * DEG)) / DEG;
+
+    const y = Math.tan(obliquity * DEG / 2) ** 2;
+    const L = meanLongitude * DEG;
+    const M = meanAnomaly * DEG;
+    const equationOfTime = 4 / DEG * (
+        y * Math.sin(2 * L) -
+        2 * eccentricity * Math.sin(M) +
+        4 * eccentricity * y * Math.sin(M) * Math.cos(2 * L) -
+        0.5 * y * y * Math.sin(4 * L) -
+        1.25 * eccentricity * eccentricity * Math.sin(2 * M)
+    );
+
+    return { declination, equationOfTime };
+}
+
+/**
+ * Where the sun is in the sky
+ * @param {Date} date - Instant to evaluate
+ * @param {number} latitude - Degrees north
+ * @param {number} longitude - Degrees east
+ * @returns {{azimuth: number, elevation: number}} Degrees; azimuth clockwise from north
+ */
+export function getSunPosition(date, latitude, longitude) {
+    const { declination, equationOfTime } = solarCoordinates(date);
+
+    const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+    const trueSolarTime = ((utcMinutes + equationOfTime + 4 * longitude) % 1440 + 1440) % 1440;
+    const hourAngle = trueSolarTime / 4 - 180; // Degrees from solar noon
+
+    const lat = latitude * DEG;
+    const dec = declination * DEG;
+    const cosZenith = Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(hourAngle * DEG);
+    const zenith = Math.acos(Math.min(1, Math.max(-1, cosZenith)));
+
+    // Azimuth is undefined straight overhead or at the poles; call it due south
+    const denominator = Math.cos(lat) * Math.sin(zenith);
+    let azimuth = 180;
+    if (Math.abs(denominator) > 1e-9) {
+        const cosAzimuth = Math.min(1, Math.max(-1, (Math.sin(lat) * Math.cos(zenith) - Math.sin(dec)) / denominator));
+        const angle = Math.acos(cosAzimuth) / DEG;
+        azimuth = hourAngle > 0 ? (angle + 180) % 360 : (540 - angle) % 360;
+    }
+
+    return { azimuth, elevation: 90 - zenith / DEG };
+}
+
+/**
+ * Sunrise, solar noon and sunset for the day containing `date`
+ * @param {Date} date - Any time on the day (its local timezone is used for the result)
+ * @param {number} latitude - Degrees north
+ * @param {number} longitude - Degrees east
+ * @returns {{sunrise: number|null, solarNoon: number, sunset: number|null, polar: 'day'|'night'|null}}
+ *   Local decimal hours; sunrise/sunset are null when the sun doesn't rise or set (see `polar`)
+ */
+export function getSunTimes(date, latitude, longitude) {
+    // Evaluate at local noon so the declination matches the requested day
+    const noon = new Date(date);
+    noon.setHours(12, 0, 0, 0);
+    const { declination, equationOfTime } = solarCoordinates(noon);
+
+    const toLocalHours = (utcMinutes) => (((utcMinutes - noon.getTimezoneOffset()) / 60) % 24 + 24) % 24;
+    const solarNoon = 720 - 4 * longitude - equationOfTime;
+
+    // 90.833° accounts for refraction and the sun's radius
+    const lat = latitude * DEG;
+    const dec = declination * DEG;
+    const cosHourAngle = Math.cos(90.833 * DEG) / (Math.cos(lat) * Math.cos(dec)) - Math.tan(lat) * Math.tan(dec);
+
+    if (cosHourAngle < -1 || cosHourAngle > 1) {
+        return { sunrise: null, solarNoon: toLocalHours(solarNoon), sunset: null, polar: cosHourAngle < -1 ? 'day' : 'night' };
+    }
+
+    const halfDay = 4 * Math.acos(cosHourAngle) / DEG; // Minutes from solar noon to sunrise/sunset
+    return {
+        sunrise: toLocalHours(solarNoon - halfDay),
+        solarNoon: toLocalHours(solarNoon),
+        sunset: toLocalHours(solarNoon + halfDay),
+        polar: null
+    };
+}
+
+/**
+ * Guess the visitor's location from the browser timezone.
+ * Longitude comes from the standard UTC offset (15° per hour); latitude is a
+ * typical value whose sign follows the timezone's hemisphere.
+ * @param {Date} date - Reference date (for the year's daylight-saving offsets)
+ * @returns {{latitude: number, longitude: number}} Degrees north / east
+ */
+export function estimateLocation(date = new Date()) {
+    const january = new Date(date.getFullYear(), 0, 1).getTimezoneOffset();
+    const july = new Date(date.getFullYear(), 6, 1).getTimezoneOffset();
+
+    // getTimezoneOffset() is minutes behind UTC; daylight saving makes it smaller
+    const standardOffset = Math.max(january, july);
+    const longitude = -standardOffset / 4;
+
+    let zone = '';
+    try {
+        zone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    } catch {
+        // Intl unavailable - hemisphere falls back to the daylight-saving check
+    }
+
+    // Daylight saving in January means summer is in January
+    const southern = january < july || SOUTHERN_ZONES.test(zone);
+    return { latitude: southern ? -ESTIMATED_LATITUDE : ESTIMATED_LATITUDE, longitude };
+}
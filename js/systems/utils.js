@@ -33,52 +33,96 @@ export function createMesh(geometry, materialProps, position, castShadow = true)
     return mesh;
 }
 
+// Resolution multiplier for createCanvasTexture (follows the active quality tier)
+let canvasTextureScale = 1;
+
+// Every live texture made by createCanvasTexture, so a tier change can redraw them
+const canvasTextures = new Set();
+
+// Called after any canvas texture is redrawn (the render loop uses it to draw a frame)
+let canvasRepaintHandler = null;
+
+/**
+ * Register a callback for canvas texture redraws (replaces the previous one)
+ * @param {Function|null} handler - (texture) => void
+ */
+export function setCanvasRepaintHandler(handler) {
+    canvasRepaintHandler = handler;
+}
+
+/**
+ * Set the resolution of canvas textures; existing ones are redrawn at the new size
+ * @param {number} scale - 1 = authored size, 0.5 = half width and height
+ */
+export function setCanvasTextureScale(scale) {
+    if (scale === canvasTextureScale) return;
+    canvasTextureScale = scale;
+    repaintCanvasTextures();
+}
+
+/**
+ * Redraw every canvas texture (after a scale change or a WebGL context loss)
+ */
+export function repaintCanvasTextures() {
+    canvasTextures.forEach(texture => texture.userData.repaint());
+}
+
 /**
  * Create a canvas texture with the given dimensions and render function
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
- * @param {Function} renderFn - Function(ctx, canvas) to draw on the canvas
+ * @param {number} width - Canvas width (before texture quality scaling)
+ * @param {number} height - Canvas height (before texture quality scaling)
+ * @param {Function} renderFn - Function(ctx, size) to draw on the canvas; draw in
+ *   the unscaled `size.width` x `size.height` space, the context is pre-scaled
+ * @param {Object} [options]
+ * @param {boolean} [options.deferred=false] - Draw after the first frame instead of
+ *   now (for heavy text layouts that would hold up loading)
+ * @param {string} [options.placeholder] - Fill color shown until a deferred draw runs
  * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D, texture: THREE.CanvasTexture}}
+ *   (texture.userData.repaint() runs renderFn again at the current scale)
  */
-export function createCanvasTexture(width, height, renderFn) {
+export function createCanvasTexture(width, height, renderFn, { deferred = false, placeholder = null } = {}) {
     const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
     const ctx = canvas.getContext('2d');
-    renderFn(ctx, canvas);
     const texture = new THREE.CanvasTexture(canvas);
     if (texture.colorSpace !== undefined) {
         texture.colorSpace = THREE.SRGBColorSpace;
     }
-    return { canvas, ctx, texture };
-}
 
-/**
- * Wrap text on a canvas context
- * @param {CanvasRenderingContext2D} ctx
- * @param {string} text
- * @param {number} x - Start x position
- * @param {number} y - Start y position
- * @param {number} maxWidth - Max line width
- * @param {number} lineHeight - Line height
- * @returns {number} - The y position after the last line
- */
-export function wrapText(ctx, text, x, y, maxWidth, lineHeight) {
-    const words = text.split(' ');
-    let line = '';
-    let currentY = y;
-    for (const word of words) {
-        const testLine = line + word + ' ';
-        if (ctx.measureText(testLine).width > maxWidth && line !== '') {
-            ctx.fillText(line, x, currentY);
-            line = word + ' ';
-            currentY += lineHeight;
-        } else {
-            line = testLine;
+    const resize = () => {
+        const scaledWidth = Math.max(1, Math.round(width * canvasTextureScale));
+        const scaledHeight = Math.max(1, Math.round(height * canvasTextureScale));
+        // Assigning a size clears the canvas, so only do it when the size changes
+        if (canvas.width !== scaledWidth || canvas.height !== scaledHeight) {
+            canvas.width = scaledWidth;
+            canvas.height = scaledHeight;
         }
+    };
+
+    texture.userData.repaint = () => {
+        resize();
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.scale(canvas.width / width, canvas.height / height);
+        renderFn(ctx, { width, height });
+        ctx.restore();
+        texture.needsUpdate = true;
+        canvasRepaintHandler?.(texture);
+    };
+    canvasTextures.add(texture);
+    texture.addEventListener('dispose', () => canvasTextures.delete(texture));
+
+    if (deferred) {
+        resize();
+        if (placeholder) {
+            ctx.fillStyle = placeholder;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        requestAnimationFrame(() => setTimeout(texture.userData.repaint, 0));
+    } else {
+        texture.userData.repaint();
     }
-    ctx.fillText(line, x, currentY);
-    return currentY + lineHeight;
+    return { canvas, ctx, texture };
 }
 
 /**
@@ -0,0 +1,117 @@
+/**
+ * Weather
+ * Pulls the current conditions from a pluggable provider and applies the
+ * matching WEATHER_CONFIG preset to the window light and rain overlay.
+ * The bundled provider reads a local JSON fixture, so the scene runs offline.
+ */
+
+import { WEATHER_CONFIG } from '../config/config.js';
+
+export const DEFAULT_WEATHER_FIXTURE_URL = new URL('../config/weather-fixture.json', import.meta.url);
+
+/**
+ * @typedef {Object} WeatherReport
+ * @property {string} condition - A WEATHER_CONFIG.presets key: 'clear', 'overcast', 'rain' or 'snow'
+ */
+
+/**
+ * Provider interface. Subclasses (or any object with the same method)
+ * return the current conditions; a real weather API can be swapped in here.
+ */
+export class WeatherProvider {
+    /**
+     * @returns {Promise<WeatherReport>} Current conditions
+     */
+    async fetchWeather() {
+        throw new Error(`${this.constructor.name} does not implement fetchWeather()`);
+    }
+}
+
+/**
+ * Reads conditions from a local JSON file (development and tests).
+ * Edit js/config/weather-fixture.json to preview another condition.
+ */
+export class FixtureWeatherProvider extends WeatherProvider {
+    /**
+     * @param {string|URL} url - Fixture file with a {"condition": ...} object
+     */
+    constructor(url = DEFAULT_WEATHER_FIXTURE_URL) {
+        super();
+        this.url = url;
+    }
+
+    async fetchWeather() {
+        // Always re-read the file so edits show up on the next refresh
+        const response = await fetch(this.url, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Weather fixture ${this.url} could not be loaded (HTTP ${response.status})`);
+        }
+        return response.json();
+    }
+}
+
+export class WeatherSystem {
+    /**
+     * @param {LightingSystem} lightingSystem - Receives the preset via setWeather()
+     * @param {WeatherProvider} provider - Source of weather reports
+     */
+    constructor(lightingSystem, provider = new FixtureWeatherProvider()) {
+        this.lighting = lightingSystem;
+        this.provider = provider;
+        this.condition = 'clear';
+        this.overlay = document.getElementById('weather-overlay');
+        this.refreshTimer = null;
+        this.lastRefresh = 0;
+    }
+
+    /**
+     * Fetch the weather every WEATHER_CONFIG.refreshMinutes, starting now
+     * unless the last fetch is still within that interval (restarts after a pause)
+     */
+    start() {
+        if (this.refreshTimer) return;
+        const interval = WEATHER_CONFIG.refreshMinutes * 60000;
+        if (Date.now() - this.lastRefresh >= interval) this.refresh();
+        this.refreshTimer = setInterval(() => this.refresh(), interval);
+    }
+
+    stop() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Ask the provider for conditions; failures keep the current weather
+     */
+    async refresh() {
+        this.lastRefresh = Date.now();
+        try {
+            const report = await this.provider.fetchWeather();
+            this.setCondition(report?.condition);
+        } catch (error) {
+            console.warn(`Weather unavailable: ${error.message}`);
+        }
+    }
+
+    /**
+     * Switch to a weather preset
+     * @param {string} condition - WEATHER_CONFIG.presets key
+     * @param {number} duration - Blend time in seconds
+     * @returns {boolean} False if the condition is unknown (nothing changes)
+     */
+    setCondition(condition, duration = WEATHER_CONFIG.transition) {
+        const preset = WEATHER_CONFIG.presets[condition];
+        if (!preset) {
+            console.warn(`Unknown weather condition "${condition}" (expected one of: ${Object.keys(WEATHER_CONFIG.presets).join(', ')})`);
+            return false;
+        }
+
+        this.condition = condition;
+        this.lighting?.setWeather(preset, duration);
+
+        if (this.overlay) {
+            this.overlay.classList.toggle('rain', preset.overlay === 'rain');
+        }
+        return true;
+    }
+}